@@ -0,0 +1,193 @@
+// a1topup/balance-monitor.js - Wallet balance tracking and low-balance alerts
+const EventEmitter = require('events');
+
+const HOUR = 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  threshold: 1000,             // alert below this absolute balance
+  projectionHours: 6,          // ...or below the spend projected for this many hours
+  interval: 5 * 60 * 1000,     // sample every 5 minutes when started
+  spendWindow: 24 * HOUR,      // spend rate is averaged over this window
+  historyWindow: 7 * 24 * HOUR,
+  cooldown: HOUR               // don't repeat the same alert more often than this
+};
+
+// ========================================
+// Balance Monitor
+// ========================================
+// Events:
+//   'sample' (entry)        - a balance reading was recorded
+//   'alert'  (alert)        - an alert fired (also sent to every adapter)
+//   'sampleError' (error)   - reading the balance failed
+//   'alertError' (error, adapter) - an alert adapter threw
+class BalanceMonitor extends EventEmitter {
+  constructor(service, options = {}) {
+    super();
+
+    if (!service || typeof service.getBalance !== 'function') {
+      throw new Error('BalanceMonitor requires an A1TopupService');
+    }
+
+    this.service = service;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.alerts = options.alerts || [createLogAlert()];
+    this.now = options.now || Date.now;
+    this.history = [];
+    this.lastAlertAt = {};
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.sample().catch(() => {});
+    this.timer = setInterval(() => this.sample().catch(() => {}), this.options.interval);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async sample() {
+    let balance;
+
+    try {
+      balance = await this.service.getBalance();
+    } catch (error) {
+      this.emit('sampleError', error);
+      throw error;
+    }
+
+    const entry = this.record(balance);
+    await this.evaluate(entry);
+    return entry;
+  }
+
+  // Also usable to feed readings from elsewhere (e.g. a balance in a recharge response)
+  record(balance, at = this.now()) {
+    const entry = { at, balance: Number(balance) };
+    this.history.push(entry);
+
+    const cutoff = at - this.options.historyWindow;
+    while (this.history.length && this.history[0].at < cutoff) this.history.shift();
+
+    this.emit('sample', entry);
+    return entry;
+  }
+
+  latest() {
+    return this.history.length ? this.history[this.history.length - 1] : null;
+  }
+
+  // Average spend per hour over `spendWindow`. Only drops count as spend;
+  // increases are wallet top-ups.
+  spendRatePerHour(at = this.now()) {
+    const since = at - this.options.spendWindow;
+    const window = this.history.filter(entry => entry.at >= since);
+    if (window.length < 2) return 0;
+
+    let spent = 0;
+    for (let i = 1; i < window.length; i++) {
+      spent += Math.max(0, window[i - 1].balance - window[i].balance);
+    }
+
+    const hours = (window[window.length - 1].at - window[0].at) / HOUR;
+    return hours > 0 ? spent / hours : 0;
+  }
+
+  projectedSpend(hours = this.options.projectionHours, at = this.now()) {
+    return this.spendRatePerHour(at) * hours;
+  }
+
+  async evaluate(entry = this.latest()) {
+    if (!entry) return [];
+
+    const { threshold, projectionHours } = this.options;
+    const projected = this.projectedSpend(projectionHours, entry.at);
+    const fired = [];
+
+    if (entry.balance < threshold) {
+      fired.push(await this.fire({
+        type: 'below-threshold',
+        message: `A1Topup balance ${entry.balance.toFixed(2)} is below the ${threshold.toFixed(2)} threshold`,
+        balance: entry.balance,
+        threshold,
+        at: entry.at
+      }));
+    } else {
+      delete this.lastAlertAt['below-threshold'];
+    }
+
+    if (projected > 0 && entry.balance < projected) {
+      fired.push(await this.fire({
+        type: 'below-projected-spend',
+        message: `A1Topup balance ${entry.balance.toFixed(2)} won't cover the projected ${projected.toFixed(2)} spend for the next ${projectionHours}h`,
+        balance: entry.balance,
+        projectedSpend: projected,
+        projectionHours,
+        at: entry.at
+      }));
+    } else {
+      delete this.lastAlertAt['below-projected-spend'];
+    }
+
+    return fired.filter(Boolean);
+  }
+
+  async fire(alert) {
+    const last = this.lastAlertAt[alert.type];
+    if (last !== undefined && alert.at - last < this.options.cooldown) return null;
+    this.lastAlertAt[alert.type] = alert.at;
+
+    this.emit('alert', alert);
+
+    for (const adapter of this.alerts) {
+      try {
+        await (typeof adapter === 'function' ? adapter(alert) : adapter.send(alert));
+      } catch (error) {
+        this.emit('alertError', error, adapter);
+      }
+    }
+
+    return alert;
+  }
+}
+
+// ========================================
+// Alert adapters
+// ========================================
+// An adapter is a function `(alert) => Promise` or an object with `send(alert)`.
+
+function createLogAlert(logger = console) {
+  return alert => logger.warn(`⚠️ [balance] ${alert.message}`);
+}
+
+function createWebhookAlert(url, { client, timeout = 10000 } = {}) {
+  // Required lazily, like the default transport
+  const http = client || require('axios');
+  return alert => http.post(url, alert, { timeout });
+}
+
+// `send` is the mailer, e.g. nodemailer's transporter.sendMail.bind(transporter)
+function createEmailAlert({ send, to, from, subjectPrefix = '[A1Topup]' }) {
+  if (typeof send !== 'function') {
+    throw new Error('createEmailAlert requires a send(message) function');
+  }
+
+  return alert => send({
+    to,
+    from,
+    subject: `${subjectPrefix} Low balance: ${alert.balance.toFixed(2)}`,
+    text: `${alert.message}\n\nAt: ${new Date(alert.at).toISOString()}`
+  });
+}
+
+module.exports = {
+  BalanceMonitor,
+  createLogAlert,
+  createWebhookAlert,
+  createEmailAlert,
+  DEFAULT_BALANCE_MONITOR_OPTIONS: DEFAULT_OPTIONS
+};
@@ -0,0 +1,253 @@
+// a1topup/bulk.js - Bulk recharges with concurrency and rate limits
+//
+//   node a1topup/bulk.js numbers.csv [--report report] [--concurrency 5] [--per-minute 60]
+//   node a1topup/bulk.js --resume report.json
+//
+// The CSV needs a header row: number,amount,operator,circle
+// (operator/circle accept codes like RC/5 or keys like JIO/DELHI;
+// an optional `type` column picks PREPAID or POSTPAID).
+const fs = require('fs');
+const { A1TopupService } = require('./service');
+const { getOperator, getCircle, normalizeMobileNumber, validateOperatorCircle } = require('./codes');
+const { parseCsv, toCsv } = require('./csv');
+const { sleep } = require('./retry');
+
+const DEFAULT_OPTIONS = {
+  concurrency: 5,
+  perMinute: 60
+};
+
+const REPORT_COLUMNS = ['index', 'number', 'amount', 'operatorCode', 'circleCode', 'orderid', 'txid', 'opid', 'status', 'error', 'resumable'];
+
+// ========================================
+// Input
+// ========================================
+function normalizeRow(input, index) {
+  const type = (input.type || 'PREPAID').toUpperCase();
+  const operator = getOperator(input.operator || input.operatorcode || input.operatorCode, type);
+  const circle = getCircle(input.circle || input.circlecode || input.circleCode);
+  const row = {
+    index,
+    number: normalizeMobileNumber(input.number) || String(input.number || ''),
+    amount: Number(input.amount),
+    operatorCode: operator ? operator.code : String(input.operator || ''),
+    circleCode: circle ? circle.code : String(input.circle || ''),
+    orderid: input.orderid || null,
+    txid: null,
+    opid: null,
+    status: 'Queued',
+    error: null,
+    resumable: false,
+    attempted: false
+  };
+
+  const check = validateOperatorCircle(row.operatorCode, row.circleCode);
+  if (!normalizeMobileNumber(input.number)) {
+    row.error = `Invalid mobile number: ${input.number}`;
+  } else if (!(row.amount > 0)) {
+    row.error = `Invalid amount: ${input.amount}`;
+  } else if (!check.valid) {
+    row.error = check.reason;
+  }
+  if (row.error) row.status = 'Skipped';
+
+  return row;
+}
+
+function rowsFromCsv(text) {
+  return parseCsv(text).map(normalizeRow);
+}
+
+// ========================================
+// Limits
+// ========================================
+// At most `perMinute` calls start within any rolling 60 seconds
+function createRateLimiter(perMinute, { now = Date.now, wait = sleep } = {}) {
+  const starts = [];
+
+  return async function acquire() {
+    while (true) {
+      const t = now();
+      while (starts.length && t - starts[0] >= 60000) starts.shift();
+
+      if (starts.length < perMinute) {
+        starts.push(t);
+        return;
+      }
+      await wait(60000 - (t - starts[0]));
+    }
+  };
+}
+
+async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(workers);
+}
+
+// ========================================
+// Run
+// ========================================
+function applyResult(row, result) {
+  row.txid = result.txid || row.txid;
+  row.opid = result.opid || row.opid;
+  row.status = result.status;
+  row.error = result.isFailure ? result.message || null : null;
+  row.resumable = !!result.isPending;
+}
+
+function applyError(row, error) {
+  row.status = 'Error';
+  row.error = error.message;
+  // Only an order the provider may have accepted is worth resuming
+  row.resumable = error.code === 'OUTCOME_UNKNOWN' || !!error.retryable;
+}
+
+async function rechargeRow(service, row) {
+  row.orderid = row.orderid || A1TopupService.generateOrderId();
+  row.attempted = true;
+
+  try {
+    const result = await service.recharge({
+      number: row.number,
+      amount: row.amount,
+      operatorCode: row.operatorCode,
+      circleCode: row.circleCode,
+      orderid: row.orderid
+    });
+    applyResult(row, result);
+  } catch (error) {
+    applyError(row, error);
+  }
+}
+
+async function resumeRow(service, row) {
+  try {
+    applyResult(row, await service.checkStatus(row.orderid));
+  } catch (error) {
+    row.error = error.message;
+    row.resumable = true;
+  }
+}
+
+function summarize(rows) {
+  return rows.reduce((summary, row) => {
+    summary.total++;
+    summary[row.status] = (summary[row.status] || 0) + 1;
+    if (row.resumable) summary.resumable++;
+    return summary;
+  }, { total: 0, resumable: 0 });
+}
+
+// Rows still Pending (or with an unknown outcome) when the run ends are
+// marked `resumable`; pass the report to resumeBulkRecharge later.
+async function runBulkRecharge(service, rows, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const acquire = createRateLimiter(config.perMinute, config);
+  const report = { startedAt: new Date().toISOString(), finishedAt: null, rows, summary: null };
+
+  await runPool(rows.filter(row => row.status === 'Queued'), config.concurrency, async row => {
+    await acquire();
+    await rechargeRow(service, row);
+    if (config.onResult) config.onResult(row);
+  });
+
+  report.finishedAt = new Date().toISOString();
+  report.summary = summarize(rows);
+  return report;
+}
+
+// Follows up resumable rows by status check, and sends rows that never went out
+async function resumeBulkRecharge(service, report, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const acquire = createRateLimiter(config.perMinute, config);
+  const todo = report.rows.filter(row => row.resumable || row.status === 'Queued');
+
+  await runPool(todo, config.concurrency, async row => {
+    await acquire();
+    await (row.attempted ? resumeRow(service, row) : rechargeRow(service, row));
+    if (config.onResult) config.onResult(row);
+  });
+
+  report.resumedAt = new Date().toISOString();
+  report.summary = summarize(report.rows);
+  return report;
+}
+
+// ========================================
+// Reports
+// ========================================
+function reportToCsv(report) {
+  return toCsv(report.rows, REPORT_COLUMNS);
+}
+
+// Writes <base>.json (resumable) and <base>.csv (for people)
+function writeReport(report, basePath) {
+  fs.writeFileSync(`${basePath}.json`, JSON.stringify(report, null, 2));
+  fs.writeFileSync(`${basePath}.csv`, reportToCsv(report));
+}
+
+function readReport(path) {
+  return JSON.parse(fs.readFileSync(path, 'utf8'));
+}
+
+// ========================================
+// CLI
+// ========================================
+function argValue(args, name, fallback) {
+  const i = args.indexOf(name);
+  return i !== -1 && args[i + 1] ? args[i + 1] : fallback;
+}
+
+async function main(args) {
+  const service = new A1TopupService();
+  const options = {
+    concurrency: Number(argValue(args, '--concurrency', DEFAULT_OPTIONS.concurrency)),
+    perMinute: Number(argValue(args, '--per-minute', DEFAULT_OPTIONS.perMinute)),
+    onResult: row => console.log(`[${row.index}] ${row.number} ${row.amount} -> ${row.status}${row.error ? ` (${row.error})` : ''}`)
+  };
+
+  let report;
+  let basePath;
+  const resumePath = argValue(args, '--resume');
+
+  if (resumePath) {
+    basePath = resumePath.replace(/\.json$/, '');
+    report = await resumeBulkRecharge(service, readReport(resumePath), options);
+  } else if (args[0] && !args[0].startsWith('--')) {
+    basePath = argValue(args, '--report', `bulk-report-${Date.now()}`);
+    report = await runBulkRecharge(service, rowsFromCsv(fs.readFileSync(args[0], 'utf8')), options);
+  } else {
+    console.error('Usage: node a1topup/bulk.js <file.csv> [--report base] | --resume <report.json>');
+    process.exitCode = 1;
+    return;
+  }
+
+  writeReport(report, basePath);
+  console.log('\nSummary:', report.summary);
+  console.log(`Report written to ${basePath}.json and ${basePath}.csv`);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  normalizeRow,
+  rowsFromCsv,
+  createRateLimiter,
+  runBulkRecharge,
+  resumeBulkRecharge,
+  reportToCsv,
+  writeReport,
+  readReport,
+  DEFAULT_BULK_OPTIONS: DEFAULT_OPTIONS
+};
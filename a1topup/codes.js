@@ -0,0 +1,248 @@
+// a1topup/codes.js - Operator & circle catalogue
+//
+// Dependency-free so the same file works in Node (require) and in the
+// browser (<script src="a1topup/codes.js"> exposes window.A1TopupCodes).
+(function (root) {
+  // ========================================
+  // Circle Codes
+  // ========================================
+  // A1Topup uses the standard telecom circle numbering
+  const CIRCLE_CATALOGUE = [
+    { key: 'ANDHRA_PRADESH', code: '1', name: 'Andhra Pradesh & Telangana' },
+    { key: 'ASSAM', code: '2', name: 'Assam' },
+    { key: 'BIHAR_JHARKHAND', code: '3', name: 'Bihar & Jharkhand' },
+    { key: 'CHENNAI', code: '4', name: 'Chennai' },
+    { key: 'DELHI', code: '5', name: 'Delhi NCR' },
+    { key: 'GUJARAT', code: '6', name: 'Gujarat' },
+    { key: 'HARYANA', code: '7', name: 'Haryana' },
+    { key: 'HIMACHAL_PRADESH', code: '8', name: 'Himachal Pradesh' },
+    { key: 'JAMMU_KASHMIR', code: '9', name: 'Jammu & Kashmir' },
+    { key: 'KARNATAKA', code: '10', name: 'Karnataka' },
+    { key: 'KERALA', code: '11', name: 'Kerala' },
+    { key: 'KOLKATA', code: '12', name: 'Kolkata' },
+    { key: 'MAHARASHTRA_GOA', code: '13', name: 'Maharashtra & Goa' },
+    { key: 'MP_CHHATTISGARH', code: '14', name: 'Madhya Pradesh & Chhattisgarh' },
+    { key: 'MUMBAI', code: '15', name: 'Mumbai' },
+    { key: 'NORTH_EAST', code: '16', name: 'North East' },
+    { key: 'ODISHA', code: '17', name: 'Odisha' },
+    { key: 'PUNJAB', code: '18', name: 'Punjab' },
+    { key: 'RAJASTHAN', code: '19', name: 'Rajasthan' },
+    { key: 'TAMIL_NADU', code: '20', name: 'Tamil Nadu' },
+    { key: 'UP_EAST', code: '21', name: 'Uttar Pradesh (East)' },
+    { key: 'UP_WEST', code: '22', name: 'Uttar Pradesh (West) & Uttarakhand' },
+    { key: 'WEST_BENGAL', code: '23', name: 'West Bengal' }
+  ];
+
+  // ========================================
+  // Operator Codes
+  // ========================================
+  // `brand` matches the network names shown on the topup page.
+  // BSNL doesn't operate in Delhi and Mumbai (those are MTNL circles).
+  const OPERATOR_CATALOGUE = [
+    { key: 'AIRTEL', type: 'PREPAID', code: 'A', name: 'Airtel', brand: 'Airtel' },
+    { key: 'JIO', type: 'PREPAID', code: 'RC', name: 'Jio', brand: 'Jio' },
+    { key: 'VODAFONE', type: 'PREPAID', code: 'V', name: 'Vodafone', brand: 'VI' },
+    { key: 'IDEA', type: 'PREPAID', code: 'I', name: 'Idea', brand: 'VI' },
+    { key: 'BSNL_TOPUP', type: 'PREPAID', code: 'BT', name: 'BSNL Topup', brand: 'BSNL', excludedCircles: ['DELHI', 'MUMBAI'] },
+    { key: 'BSNL_STV', type: 'PREPAID', code: 'BR', name: 'BSNL Special (STV)', brand: 'BSNL', excludedCircles: ['DELHI', 'MUMBAI'] },
+    { key: 'AIRTEL', type: 'POSTPAID', code: 'PAT', name: 'Airtel Postpaid', brand: 'Airtel' },
+    { key: 'JIO', type: 'POSTPAID', code: 'JPP', name: 'Jio Postpaid', brand: 'Jio' },
+    { key: 'VODAFONE', type: 'POSTPAID', code: 'VP', name: 'Vodafone Postpaid', brand: 'VI' },
+    { key: 'IDEA', type: 'POSTPAID', code: 'IP', name: 'Idea Postpaid', brand: 'VI' },
+    { key: 'BSNL', type: 'POSTPAID', code: 'BP', name: 'BSNL Postpaid', brand: 'BSNL', excludedCircles: ['DELHI', 'MUMBAI'] }
+  ];
+
+  // Same shapes test.js has always used: OPERATORS.PREPAID.JIO, CIRCLES.DELHI
+  const OPERATORS = OPERATOR_CATALOGUE.reduce((acc, op) => {
+    acc[op.type] = acc[op.type] || {};
+    acc[op.type][op.key] = op.code;
+    return acc;
+  }, {});
+
+  const CIRCLES = CIRCLE_CATALOGUE.reduce((acc, circle) => {
+    acc[circle.key] = circle.code;
+    return acc;
+  }, {});
+
+  // ========================================
+  // Number Series (first 4 digits -> original operator & circle)
+  // ========================================
+  // Only a hint: with number portability a subscriber may have moved
+  // network, so callers should let the user override the suggestion.
+  const NUMBER_SERIES = {
+    // Delhi NCR
+    '9810': ['AIRTEL', 'DELHI'], '9818': ['AIRTEL', 'DELHI'], '9871': ['AIRTEL', 'DELHI'],
+    '9910': ['AIRTEL', 'DELHI'], '9811': ['VODAFONE', 'DELHI'], '9873': ['VODAFONE', 'DELHI'],
+    '9899': ['VODAFONE', 'DELHI'], '9999': ['VODAFONE', 'DELHI'], '9891': ['IDEA', 'DELHI'],
+    // Metros
+    '9820': ['VODAFONE', 'MUMBAI'], '9833': ['VODAFONE', 'MUMBAI'], '9892': ['AIRTEL', 'MUMBAI'],
+    '9840': ['AIRTEL', 'CHENNAI'], '9830': ['VODAFONE', 'KOLKATA'], '9831': ['AIRTEL', 'KOLKATA'],
+    // BSNL circle series
+    '9440': ['BSNL', 'ANDHRA_PRADESH'], '9435': ['BSNL', 'ASSAM'], '9431': ['BSNL', 'BIHAR_JHARKHAND'],
+    '9444': ['BSNL', 'CHENNAI'], '9426': ['BSNL', 'GUJARAT'], '9427': ['BSNL', 'GUJARAT'],
+    '9416': ['BSNL', 'HARYANA'], '9418': ['BSNL', 'HIMACHAL_PRADESH'], '9419': ['BSNL', 'JAMMU_KASHMIR'],
+    '9448': ['BSNL', 'KARNATAKA'], '9449': ['BSNL', 'KARNATAKA'], '9446': ['BSNL', 'KERALA'],
+    '9447': ['BSNL', 'KERALA'], '9433': ['BSNL', 'KOLKATA'], '9422': ['BSNL', 'MAHARASHTRA_GOA'],
+    '9423': ['BSNL', 'MAHARASHTRA_GOA'], '9425': ['BSNL', 'MP_CHHATTISGARH'], '9436': ['BSNL', 'NORTH_EAST'],
+    '9437': ['BSNL', 'ODISHA'], '9417': ['BSNL', 'PUNJAB'], '9414': ['BSNL', 'RAJASTHAN'],
+    '9442': ['BSNL', 'TAMIL_NADU'], '9443': ['BSNL', 'TAMIL_NADU'], '9415': ['BSNL', 'UP_EAST'],
+    '9412': ['BSNL', 'UP_WEST'], '9434': ['BSNL', 'WEST_BENGAL'],
+    // Airtel
+    '8800': ['AIRTEL', 'DELHI'], '8826': ['AIRTEL', 'DELHI'], '9560': ['AIRTEL', 'DELHI'],
+    '9650': ['AIRTEL', 'DELHI'], '9711': ['AIRTEL', 'DELHI'], '9717': ['AIRTEL', 'DELHI'],
+    '9911': ['AIRTEL', 'DELHI'], '9849': ['AIRTEL', 'ANDHRA_PRADESH'], '9866': ['AIRTEL', 'ANDHRA_PRADESH'],
+    '9934': ['AIRTEL', 'BIHAR_JHARKHAND'], '9898': ['AIRTEL', 'GUJARAT'], '9896': ['AIRTEL', 'HARYANA'],
+    '9816': ['AIRTEL', 'HIMACHAL_PRADESH'], '9906': ['AIRTEL', 'JAMMU_KASHMIR'], '9845': ['AIRTEL', 'KARNATAKA'],
+    '9880': ['AIRTEL', 'KARNATAKA'], '9900': ['AIRTEL', 'KARNATAKA'], '9895': ['AIRTEL', 'KERALA'],
+    '9903': ['AIRTEL', 'KOLKATA'], '9890': ['AIRTEL', 'MAHARASHTRA_GOA'], '9893': ['AIRTEL', 'MP_CHHATTISGARH'],
+    '9937': ['AIRTEL', 'ODISHA'], '9815': ['AIRTEL', 'PUNJAB'], '9872': ['AIRTEL', 'PUNJAB'],
+    '9829': ['AIRTEL', 'RAJASTHAN'], '9894': ['AIRTEL', 'TAMIL_NADU'], '9935': ['AIRTEL', 'UP_EAST'],
+    '9897': ['AIRTEL', 'UP_WEST'], '9932': ['AIRTEL', 'WEST_BENGAL'], '9933': ['AIRTEL', 'WEST_BENGAL'],
+    // Vodafone
+    '9953': ['VODAFONE', 'DELHI'], '8879': ['VODAFONE', 'MUMBAI'], '9884': ['VODAFONE', 'CHENNAI'],
+    '9836': ['VODAFONE', 'KOLKATA'], '9874': ['VODAFONE', 'KOLKATA'], '9885': ['VODAFONE', 'ANDHRA_PRADESH'],
+    '9825': ['VODAFONE', 'GUJARAT'], '9879': ['VODAFONE', 'GUJARAT'], '9909': ['VODAFONE', 'GUJARAT'],
+    '9813': ['VODAFONE', 'HARYANA'], '9886': ['VODAFONE', 'KARNATAKA'], '9846': ['VODAFONE', 'KERALA'],
+    '9823': ['VODAFONE', 'MAHARASHTRA_GOA'], '9888': ['VODAFONE', 'PUNJAB'], '9828': ['VODAFONE', 'RAJASTHAN'],
+    '9843': ['VODAFONE', 'TAMIL_NADU'], '9839': ['VODAFONE', 'UP_EAST'],
+    // Idea
+    '9848': ['IDEA', 'ANDHRA_PRADESH'], '9824': ['IDEA', 'GUJARAT'], '9812': ['IDEA', 'HARYANA'],
+    '9844': ['IDEA', 'KARNATAKA'], '9847': ['IDEA', 'KERALA'], '9822': ['IDEA', 'MAHARASHTRA_GOA'],
+    '9850': ['IDEA', 'MAHARASHTRA_GOA'], '9881': ['IDEA', 'MAHARASHTRA_GOA'], '9826': ['IDEA', 'MP_CHHATTISGARH'],
+    '9814': ['IDEA', 'PUNJAB'], '9889': ['IDEA', 'UP_EAST'], '9837': ['IDEA', 'UP_WEST'],
+    // Jio (70xx, one series per circle)
+    '7000': ['JIO', 'MP_CHHATTISGARH'], '7008': ['JIO', 'ODISHA'], '7009': ['JIO', 'PUNJAB'],
+    '7010': ['JIO', 'TAMIL_NADU'], '7012': ['JIO', 'KERALA'], '7013': ['JIO', 'ANDHRA_PRADESH'],
+    '7014': ['JIO', 'RAJASTHAN'], '7015': ['JIO', 'HARYANA'], '7016': ['JIO', 'GUJARAT'],
+    '7017': ['JIO', 'UP_WEST'], '7018': ['JIO', 'HIMACHAL_PRADESH'], '7019': ['JIO', 'KARNATAKA'],
+    '7020': ['JIO', 'MAHARASHTRA_GOA'], '7021': ['JIO', 'MUMBAI']
+  };
+
+  // Contiguous blocks held by one operator in one circle (most of the 6xxx range is Jio)
+  const SERIES_BLOCKS = [
+    ['6000', '6003', 'JIO', 'ASSAM'],
+    ['6005', '6006', 'JIO', 'JAMMU_KASHMIR'],
+    ['6200', '6207', 'JIO', 'BIHAR_JHARKHAND'],
+    ['6260', '6268', 'JIO', 'MP_CHHATTISGARH'],
+    ['6280', '6284', 'JIO', 'PUNJAB'],
+    ['6290', '6297', 'JIO', 'WEST_BENGAL'],
+    ['6300', '6305', 'JIO', 'ANDHRA_PRADESH'],
+    ['6350', '6351', 'JIO', 'RAJASTHAN'],
+    ['6354', '6355', 'JIO', 'GUJARAT'],
+    ['6360', '6366', 'JIO', 'KARNATAKA'],
+    ['6370', '6372', 'JIO', 'ODISHA'],
+    ['6379', '6385', 'JIO', 'TAMIL_NADU'],
+    ['6386', '6394', 'JIO', 'UP_EAST'],
+    ['6395', '6399', 'JIO', 'UP_WEST']
+  ];
+
+  SERIES_BLOCKS.forEach(([from, to, operatorKey, circleKey]) => {
+    for (let series = Number(from); series <= Number(to); series++) {
+      NUMBER_SERIES[String(series)] = [operatorKey, circleKey];
+    }
+  });
+
+  // ========================================
+  // Lookups
+  // ========================================
+  // Accepts 9810000000, +91 98100 00000, 09810000000, 919810000000
+  function normalizeMobileNumber(number) {
+    let digits = String(number || '').replace(/\D/g, '');
+    if (digits.length === 12 && digits.startsWith('91')) digits = digits.slice(2);
+    if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+    return /^[6-9]\d{9}$/.test(digits) ? digits : null;
+  }
+
+  // getCircle/getOperator also take catalogue keys (JIO, DELHI) for
+  // user input; the provider itself only understands codes (RC, 5).
+  function getCircle(codeOrKey) {
+    const value = String(codeOrKey || '').toUpperCase();
+    return CIRCLE_CATALOGUE.find(c => c.code === value || c.key === value) || null;
+  }
+
+  // Operator codes are unique across types; keys need a type to disambiguate
+  function getOperator(codeOrKey, type) {
+    const value = String(codeOrKey || '').toUpperCase();
+    return OPERATOR_CATALOGUE.find(op => op.code === value) ||
+      OPERATOR_CATALOGUE.find(op => op.key === value && (!type || op.type === type.toUpperCase())) ||
+      null;
+  }
+
+  function getCircleByCode(code) {
+    return CIRCLE_CATALOGUE.find(c => c.code === String(code || '')) || null;
+  }
+
+  function getOperatorByCode(code) {
+    return OPERATOR_CATALOGUE.find(op => op.code === String(code || '').toUpperCase()) || null;
+  }
+
+  function listOperators(type) {
+    return OPERATOR_CATALOGUE.filter(op => !type || op.type === type.toUpperCase());
+  }
+
+  function listCircles() {
+    return CIRCLE_CATALOGUE.slice();
+  }
+
+  // Checks what will actually be sent to the provider, so keys are rejected
+  // (with the matching code as a hint) rather than passed through
+  function validateOperatorCircle(operatorCode, circleCode) {
+    const operator = getOperatorByCode(operatorCode);
+    const circle = getCircleByCode(circleCode);
+
+    if (!operator) {
+      const byKey = getOperator(operatorCode);
+      const hint = byKey ? ` (use the provider code ${byKey.code})` : '';
+      return { valid: false, reason: `Unknown operator code: ${operatorCode}${hint}`, operator, circle };
+    }
+    if (!circle) {
+      const byKey = getCircle(circleCode);
+      const hint = byKey ? ` (use the provider code ${byKey.code})` : '';
+      return { valid: false, reason: `Unknown circle code: ${circleCode}${hint}`, operator, circle };
+    }
+    if ((operator.excludedCircles || []).includes(circle.key)) {
+      return { valid: false, reason: `${operator.name} is not available in ${circle.name}`, operator, circle };
+    }
+
+    return { valid: true, reason: null, operator, circle };
+  }
+
+  function suggestFromNumber(number, type = 'PREPAID') {
+    const normalized = normalizeMobileNumber(number);
+    if (!normalized) return null;
+
+    const series = normalized.slice(0, 4);
+    const match = NUMBER_SERIES[series];
+    if (!match) return { number: normalized, series, operator: null, circle: null };
+
+    const [operatorKey, circleKey] = match;
+    // BSNL prepaid defaults to the plain topup product
+    const operator = getOperator(operatorKey, type) ||
+      (operatorKey === 'BSNL' ? getOperator(type.toUpperCase() === 'POSTPAID' ? 'BP' : 'BT') : null);
+
+    return { number: normalized, series, operator, circle: getCircle(circleKey) };
+  }
+
+  const A1TopupCodes = {
+    OPERATORS,
+    CIRCLES,
+    OPERATOR_CATALOGUE,
+    CIRCLE_CATALOGUE,
+    NUMBER_SERIES,
+    normalizeMobileNumber,
+    getCircle,
+    getOperator,
+    getCircleByCode,
+    getOperatorByCode,
+    listOperators,
+    listCircles,
+    validateOperatorCircle,
+    suggestFromNumber
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = A1TopupCodes;
+  } else {
+    root.A1TopupCodes = A1TopupCodes;
+  }
+})(typeof self !== 'undefined' ? self : this);
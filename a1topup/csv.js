@@ -0,0 +1,67 @@
+// a1topup/csv.js - Minimal CSV reading/writing for bulk files and reports
+
+// Handles quoted fields, escaped quotes ("") and CRLF line endings
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field.trim());
+  return fields;
+}
+
+// Rows as objects keyed by the lowercased header names
+function parseCsv(text) {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  if (!lines.length) return [];
+
+  const headers = parseCsvLine(lines[0]).map(h => h.toLowerCase());
+
+  return lines.slice(1).map(line => {
+    const values = parseCsvLine(line);
+    return headers.reduce((row, header, i) => {
+      row[header] = values[i] !== undefined ? values[i] : '';
+      return row;
+    }, {});
+  });
+}
+
+function escapeCsvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => lines.push(columns.map(column => escapeCsvValue(row[column])).join(',')));
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  parseCsvLine,
+  parseCsv,
+  toCsv
+};
@@ -0,0 +1,122 @@
+// a1topup/errors.js - Typed errors for A1Topup responses
+
+// ========================================
+// Base class
+// ========================================
+// Every error carries:
+//   code      - stable machine-readable code
+//   retryable - whether repeating the same call may succeed
+//   raw       - the provider payload (or transport error body) as received
+//   status    - HTTP status when there was one
+class A1TopupError extends Error {
+  constructor(message, { code, retryable, raw = null, status = null, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code || this.constructor.code || 'A1TOPUP_ERROR';
+    this.retryable = retryable !== undefined ? retryable : !!this.constructor.retryable;
+    this.raw = raw;
+    this.status = status;
+    if (cause) this.cause = cause;
+  }
+}
+
+class AuthenticationError extends A1TopupError {}
+AuthenticationError.code = 'AUTH_FAILED';
+
+class InsufficientBalanceError extends A1TopupError {}
+InsufficientBalanceError.code = 'INSUFFICIENT_BALANCE';
+
+class InvalidOperatorError extends A1TopupError {}
+InvalidOperatorError.code = 'INVALID_OPERATOR_OR_CIRCLE';
+
+class DuplicateOrderError extends A1TopupError {}
+DuplicateOrderError.code = 'DUPLICATE_ORDER';
+
+class ProviderTimeoutError extends A1TopupError {}
+ProviderTimeoutError.code = 'PROVIDER_TIMEOUT';
+ProviderTimeoutError.retryable = true;
+
+class ProviderUnavailableError extends A1TopupError {}
+ProviderUnavailableError.code = 'PROVIDER_UNAVAILABLE';
+ProviderUnavailableError.retryable = true;
+
+class MalformedResponseError extends A1TopupError {}
+MalformedResponseError.code = 'MALFORMED_RESPONSE';
+
+// ========================================
+// Classification
+// ========================================
+// A1Topup reports errors as free text, either as the whole body or in
+// one of these fields (failed recharges put the reason in `opid`).
+const PROVIDER_MESSAGE_PATTERNS = [
+  [AuthenticationError, /auth|unauthori[sz]ed|invalid (user|username|password|pwd|credential|login)|ip (address )?not (allowed|whitelisted|registered)/i],
+  [InsufficientBalanceError, /insufficient|low balance|balance (is )?(low|not sufficient)/i],
+  [InvalidOperatorError, /invalid (operator|circle)|(operator|circle)( code)? (not found|invalid|not available)/i],
+  [DuplicateOrderError, /duplicate|already (exists|used|processed)/i],
+  [ProviderTimeoutError, /time ?out|timed out/i]
+];
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+function providerMessage(data) {
+  if (typeof data === 'string') return data.trim();
+  if (!data || typeof data !== 'object') return '';
+
+  const message = data.message || data.msg || data.error || data.errormsg;
+  if (message) return String(message);
+
+  return data.status && data.status !== 'Success' && data.opid ? String(data.opid) : '';
+}
+
+function classifyProviderMessage(text) {
+  if (!text) return null;
+  const match = PROVIDER_MESSAGE_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
+// Turns a provider payload into a typed error, or null if it doesn't
+// look like one of the known failure kinds.
+function fromProviderResponse(data, operation) {
+  const message = providerMessage(data);
+  const ErrorClass = classifyProviderMessage(message);
+  if (!ErrorClass) return null;
+
+  return new ErrorClass(`${operation} failed: ${message}`, { raw: data });
+}
+
+function fromTransportError(error, operation) {
+  if (error instanceof A1TopupError) return error;
+
+  const response = error.response;
+  const status = response ? response.status : null;
+  const raw = response ? response.data : null;
+  const options = { raw, status, cause: error };
+
+  if (TIMEOUT_CODES.includes(error.code)) {
+    return new ProviderTimeoutError(`${operation} failed: ${error.message}`, options);
+  }
+  if (status === 401 || status === 403) {
+    return new AuthenticationError(`${operation} failed: ${error.message}`, options);
+  }
+  if (status && status < 500) {
+    return fromProviderResponse(raw, operation) ||
+      new A1TopupError(`${operation} failed: ${error.message}`, { ...options, code: 'HTTP_ERROR' });
+  }
+
+  return new ProviderUnavailableError(`${operation} failed: ${error.message}`, options);
+}
+
+module.exports = {
+  A1TopupError,
+  AuthenticationError,
+  InsufficientBalanceError,
+  InvalidOperatorError,
+  DuplicateOrderError,
+  ProviderTimeoutError,
+  ProviderUnavailableError,
+  MalformedResponseError,
+  providerMessage,
+  classifyProviderMessage,
+  fromProviderResponse,
+  fromTransportError
+};
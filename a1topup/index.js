@@ -0,0 +1,37 @@
+// a1topup/index.js - Public entry point for the A1Topup client
+const { A1TopupService, resolveConfig } = require('./service');
+const { createAxiosTransport } = require('./transport');
+const { DEFAULT_RETRY, isRetryableError } = require('./retry');
+const { PendingOrderReconciler } = require('./reconciler');
+const { BalanceMonitor, createLogAlert, createWebhookAlert, createEmailAlert } = require('./balance-monitor');
+const { rowsFromCsv, runBulkRecharge, resumeBulkRecharge, reportToCsv, writeReport, readReport } = require('./bulk');
+const { TransactionLedger } = require('./ledger');
+const { statementFromCsv, reconcile, ledgerOrders, issuesToCsv } = require('./reconcile');
+const errors = require('./errors');
+const codes = require('./codes');
+
+module.exports = {
+  A1TopupService,
+  resolveConfig,
+  createAxiosTransport,
+  DEFAULT_RETRY,
+  isRetryableError,
+  PendingOrderReconciler,
+  BalanceMonitor,
+  createLogAlert,
+  createWebhookAlert,
+  createEmailAlert,
+  rowsFromCsv,
+  runBulkRecharge,
+  resumeBulkRecharge,
+  reportToCsv,
+  writeReport,
+  readReport,
+  TransactionLedger,
+  statementFromCsv,
+  reconcile,
+  ledgerOrders,
+  issuesToCsv,
+  ...errors,
+  ...codes
+};
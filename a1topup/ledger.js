@@ -0,0 +1,152 @@
+// a1topup/ledger.js - Append-only JSON-lines ledger of every A1Topup call
+//
+// One line per call:
+//   { at, operation, orderid, number, amount, status, request, response, error, durationMs }
+//
+//   const ledger = new TransactionLedger({ path: './data/a1topup-ledger.jsonl' });
+//   const service = new A1TopupService({ ledger });
+//   await ledger.listOrders({ number: '9810012345', from: '2026-01-01' });
+const fs = require('fs');
+const path = require('path');
+
+const SECRET_KEYS = ['pwd', 'password'];
+
+// ========================================
+// Transaction Ledger
+// ========================================
+class TransactionLedger {
+  constructor(options = {}) {
+    this.path = options.path || process.env.A1TOPUP_LEDGER_PATH || path.join(process.cwd(), 'a1topup-ledger.jsonl');
+    this.writing = Promise.resolve();
+  }
+
+  // Writes are queued so lines land in call order
+  record(entry) {
+    const line = JSON.stringify({
+      at: new Date().toISOString(),
+      ...entry,
+      request: stripSecrets(entry.request)
+    }) + '\n';
+
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+        await fs.promises.appendFile(this.path, line);
+      });
+
+    return this.writing;
+  }
+
+  async entries() {
+    await this.writing.catch(() => {});
+
+    let text;
+    try {
+      text = await fs.promises.readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  // Raw call entries. Filters: orderid, number, operation, status, from, to
+  async query(filters = {}) {
+    const range = dateRange(filters);
+    return (await this.entries()).filter(entry =>
+      (!filters.orderid || entry.orderid === filters.orderid) &&
+      (!filters.number || entry.number === filters.number) &&
+      (!filters.operation || entry.operation === filters.operation) &&
+      (!filters.status || entry.status === filters.status) &&
+      inRange(entry.at, range)
+    );
+  }
+
+  // One record per orderid with its status history, folded from the entries
+  async orders() {
+    const orders = new Map();
+
+    (await this.entries()).forEach(entry => {
+      if (!entry.orderid) return;
+
+      let order = orders.get(entry.orderid);
+      if (!order) {
+        order = {
+          orderid: entry.orderid,
+          number: null,
+          amount: null,
+          operatorCode: null,
+          circleCode: null,
+          txid: null,
+          opid: null,
+          status: null,
+          createdAt: entry.at,
+          updatedAt: entry.at,
+          history: []
+        };
+        orders.set(entry.orderid, order);
+      }
+
+      const request = entry.request || {};
+      const response = entry.response || {};
+      order.number = order.number || entry.number || null;
+      order.amount = order.amount || entry.amount || null;
+      order.operatorCode = order.operatorCode || request.operatorCode || null;
+      order.circleCode = order.circleCode || request.circleCode || null;
+      order.txid = response.txid || order.txid;
+      order.opid = response.opid || order.opid;
+      order.updatedAt = entry.at;
+
+      if (entry.status && entry.status !== order.status) {
+        order.history.push({ at: entry.at, status: entry.status, operation: entry.operation });
+        order.status = entry.status;
+      }
+    });
+
+    return Array.from(orders.values());
+  }
+
+  async getOrder(orderid) {
+    return (await this.orders()).find(order => order.orderid === orderid) || null;
+  }
+
+  // Filters: number, status (latest), from, to (on creation time)
+  async listOrders(filters = {}) {
+    const range = dateRange(filters);
+    return (await this.orders()).filter(order =>
+      (!filters.number || order.number === filters.number) &&
+      (!filters.status || order.status === filters.status) &&
+      inRange(order.createdAt, range)
+    );
+  }
+}
+
+// ========================================
+// Helpers
+// ========================================
+function stripSecrets(value) {
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.keys(value).reduce((clean, key) => {
+    if (!SECRET_KEYS.includes(key)) clean[key] = value[key];
+    return clean;
+  }, {});
+}
+
+function dateRange({ from, to }) {
+  return {
+    from: from ? new Date(from).getTime() : -Infinity,
+    to: to ? new Date(to).getTime() : Infinity
+  };
+}
+
+function inRange(at, range) {
+  const time = new Date(at).getTime();
+  return time >= range.from && time <= range.to;
+}
+
+module.exports = {
+  TransactionLedger
+};
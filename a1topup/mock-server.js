@@ -0,0 +1,227 @@
+// a1topup/mock-server.js - Local stand-in for the A1Topup API
+//
+// Serves /recharge/api, /recharge/status and /recharge/balance so
+// A1TopupService can be exercised with no network and no real money.
+//
+//   const { createMockServer } = require('./a1topup/mock-server');
+//   const mock = createMockServer({ scenario: 'pending-then-success' });
+//   await mock.listen();
+//   const service = new A1TopupService({ username: 'test', password: 'test', baseURL: mock.baseURL });
+//
+// Or standalone: node a1topup/mock-server.js [port]
+const http = require('http');
+const { URL } = require('url');
+
+// ========================================
+// Scenarios
+// ========================================
+//   success              - recharge succeeds immediately
+//   pending-then-success - Pending, then Success after `pendingChecks` status calls
+//   failure              - operator rejects the recharge
+//   timeout              - order is accepted but the response never arrives
+//   non-json             - body is an HTML error page
+//   low-balance          - wallet is too low for the recharge
+const SCENARIOS = ['success', 'pending-then-success', 'failure', 'timeout', 'non-json', 'low-balance'];
+
+const DEFAULT_OPTIONS = {
+  username: 'test',
+  password: 'test',
+  balance: 10000,
+  scenario: 'success',
+  pendingChecks: 2
+};
+
+function createMockServer(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const byNumber = new Map();
+  const orders = new Map();
+  const hanging = new Set();
+  const requests = [];
+  let balance = Number(config.balance);
+  let scenario = config.scenario;
+  let txCounter = 0;
+
+  assertScenario(scenario);
+
+  // ========================================
+  // Handlers
+  // ========================================
+  function handleRecharge(query) {
+    const { number, amount, orderid } = query;
+    const amountValue = Number(amount);
+
+    if (!number || !amountValue || !orderid) {
+      return { body: { status: 'Failure', opid: 'Missing parameters', number, amount, orderid } };
+    }
+    if (orders.has(orderid)) {
+      return { body: { status: 'Failure', opid: 'Duplicate Order Id', number, amount, orderid } };
+    }
+
+    const active = byNumber.get(number) || scenario;
+
+    if (active === 'non-json') {
+      return { raw: '<html><body><h1>502 Bad Gateway</h1></body></html>', contentType: 'text/html' };
+    }
+    if (active === 'low-balance' || amountValue > balance) {
+      return { body: { status: 'Failure', opid: 'Insufficient Balance', number, amount, orderid } };
+    }
+
+    const order = {
+      txid: `MTX${Date.now()}${++txCounter}`,
+      status: 'Success',
+      opid: `OP${txCounter.toString().padStart(8, '0')}`,
+      number,
+      amount: String(amountValue),
+      orderid,
+      scenario: active,
+      statusChecks: 0
+    };
+
+    if (active === 'failure') {
+      order.status = 'Failure';
+      order.opid = 'Recharge failed at operator';
+    } else {
+      // Provider debits as soon as it accepts the order, even if we time out
+      balance -= amountValue;
+      if (active === 'pending-then-success') order.status = 'Pending';
+    }
+
+    orders.set(orderid, order);
+
+    if (active === 'timeout') return { hang: true };
+    return { body: publicOrder(order) };
+  }
+
+  function handleStatus(query) {
+    const order = orders.get(query.orderid);
+    if (!order) {
+      return { body: { status: 'Failure', opid: 'No record found', orderid: query.orderid } };
+    }
+
+    order.statusChecks++;
+    if (order.status === 'Pending' && order.statusChecks > config.pendingChecks) {
+      order.status = 'Success';
+    }
+
+    return { body: publicOrder(order) };
+  }
+
+  function handleBalance() {
+    if (scenario === 'non-json') {
+      return { raw: '<html><body>Service Unavailable</body></html>', contentType: 'text/html' };
+    }
+    return { body: { status: 'Success', balance: balance.toFixed(2) } };
+  }
+
+  function publicOrder(order) {
+    const { txid, status, opid, number, amount, orderid } = order;
+    return { txid, status, opid, number, amount, orderid };
+  }
+
+  // ========================================
+  // HTTP plumbing
+  // ========================================
+  const routes = {
+    '/recharge/api': handleRecharge,
+    '/recharge/status': handleStatus,
+    '/recharge/balance': handleBalance
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const query = Object.fromEntries(url.searchParams);
+    const handler = routes[url.pathname];
+
+    requests.push({ path: url.pathname, query: { ...query, pwd: undefined } });
+
+    if (!handler) {
+      return send(res, { status: 404, body: { status: 'Failure', opid: 'Not found' } });
+    }
+    if (query.username !== config.username || query.pwd !== config.password) {
+      return send(res, { body: { status: 'Failure', opid: 'Authentication Failed' } });
+    }
+
+    const result = handler(query);
+    if (result.hang) {
+      hanging.add(res);
+      res.on('close', () => hanging.delete(res));
+      return;
+    }
+
+    send(res, result);
+  });
+
+  function send(res, { status = 200, body, raw, contentType = 'application/json' }) {
+    res.writeHead(status, { 'Content-Type': contentType });
+    res.end(raw !== undefined ? raw : JSON.stringify(body));
+  }
+
+  return {
+    server,
+    orders,
+    requests,
+    baseURL: null,
+
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          const address = server.address();
+          this.baseURL = `http://${host}:${address.port}/recharge`;
+          resolve(this.baseURL);
+        });
+      });
+    },
+
+    close() {
+      hanging.forEach(res => res.destroy());
+      hanging.clear();
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+
+    setScenario(name) {
+      assertScenario(name);
+      scenario = name;
+    },
+
+    // Scenario for one number only, e.g. to mix outcomes in a batch
+    scriptNumber(number, name) {
+      assertScenario(name);
+      byNumber.set(String(number), name);
+    },
+
+    setBalance(value) {
+      balance = Number(value);
+    },
+
+    getBalance() {
+      return balance;
+    },
+
+    reset() {
+      byNumber.clear();
+      orders.clear();
+      requests.length = 0;
+      balance = Number(config.balance);
+      scenario = config.scenario;
+    }
+  };
+}
+
+function assertScenario(name) {
+  if (!SCENARIOS.includes(name)) {
+    throw new Error(`Unknown mock scenario "${name}". Use one of: ${SCENARIOS.join(', ')}`);
+  }
+}
+
+if (require.main === module) {
+  const mock = createMockServer({ scenario: process.env.MOCK_SCENARIO || 'success' });
+  mock.listen(Number(process.argv[2] || 4010)).then(baseURL => {
+    console.log(`A1Topup mock listening at ${baseURL} (username/password: test/test)`);
+  });
+}
+
+module.exports = {
+  createMockServer,
+  SCENARIOS
+};
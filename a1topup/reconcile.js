@@ -0,0 +1,200 @@
+// a1topup/reconcile.js - Reconcile our ledger against a provider statement
+//
+//   node a1topup/reconcile.js statement.csv [--ledger a1topup-ledger.jsonl] [--date 2026-10-17] [--out recon-2026-10-17]
+//
+// Orders are matched by orderid, falling back to txid, and compared on the
+// fields A1TopupService.parseResponse extracts (txid, status, opid, number,
+// amount, orderid). A Paystack reference recorded with the recharge request
+// (`reference` or `paymentReference`) is carried into the report.
+const fs = require('fs');
+const { TransactionLedger } = require('./ledger');
+const { parseCsv, toCsv } = require('./csv');
+
+// Statement column names vary between exports
+const COLUMN_ALIASES = {
+  orderid: ['orderid', 'order id', 'order_id', 'client ref', 'client_ref', 'clientid'],
+  txid: ['txid', 'tx id', 'txn id', 'transaction id', 'transaction_id'],
+  opid: ['opid', 'operator id', 'operator ref', 'operator_ref'],
+  number: ['number', 'mobile', 'mobile number', 'mobile_number'],
+  amount: ['amount', 'recharge amount', 'recharge_amount'],
+  status: ['status']
+};
+
+const ISSUE_COLUMNS = ['issue', 'orderid', 'txid', 'number', 'reference', 'ourAmount', 'providerAmount', 'ourStatus', 'providerStatus', 'detail'];
+
+// ========================================
+// Normalizing
+// ========================================
+function pick(row, field) {
+  const key = COLUMN_ALIASES[field].find(alias => row[alias] !== undefined && row[alias] !== '');
+  return key ? row[key] : null;
+}
+
+function normalizeStatus(status) {
+  const value = String(status || '').trim().toLowerCase();
+  if (/^succe/.test(value)) return 'Success';
+  if (/^fail/.test(value)) return 'Failure';
+  if (/^pend/.test(value)) return 'Pending';
+  return status || null;
+}
+
+function statementFromCsv(text) {
+  return parseCsv(text).map((row, index) => ({
+    line: index + 2,
+    orderid: pick(row, 'orderid'),
+    txid: pick(row, 'txid'),
+    opid: pick(row, 'opid'),
+    number: pick(row, 'number'),
+    amount: pick(row, 'amount') !== null ? Number(String(pick(row, 'amount')).replace(/,/g, '')) : null,
+    status: normalizeStatus(pick(row, 'status'))
+  }));
+}
+
+function sameAmount(a, b) {
+  return Math.abs(Number(a) - Number(b)) < 0.005;
+}
+
+// ========================================
+// Reconciliation
+// ========================================
+function reconcile(orders, statement) {
+  const issues = [];
+  const byOrderId = new Map();
+  const byTxid = new Map();
+  const matched = new Set();
+  let matchedCount = 0;
+
+  orders.forEach(order => {
+    byOrderId.set(order.orderid, order);
+    if (!order.txid) return;
+
+    if (byTxid.has(order.txid)) {
+      issues.push(issue('duplicate-in-ledger', order, null, `txid also used by order ${byTxid.get(order.txid).orderid}`));
+    } else {
+      byTxid.set(order.txid, order);
+    }
+  });
+
+  const seen = new Map();
+  statement.forEach(row => {
+    const key = row.orderid || row.txid;
+    if (key && seen.has(key)) {
+      issues.push(issue('duplicate-in-statement', null, row, `also on line ${seen.get(key).line}`));
+      return;
+    }
+    if (key) seen.set(key, row);
+
+    const order = (row.orderid && byOrderId.get(row.orderid)) || (row.txid && byTxid.get(row.txid));
+    if (!order) {
+      issues.push(issue('missing-from-ledger', null, row, 'on the provider statement but not in our ledger'));
+      return;
+    }
+
+    matched.add(order.orderid);
+    matchedCount++;
+
+    if (row.amount !== null && order.amount !== null && !sameAmount(row.amount, order.amount)) {
+      issues.push(issue('amount-mismatch', order, row, `ours ${order.amount}, provider ${row.amount}`));
+    }
+    if (row.status && order.status !== row.status) {
+      issues.push(issue('status-mismatch', order, row, `ours ${order.status}, provider ${row.status}`));
+    }
+  });
+
+  // Failures and unsent orders legitimately don't show up on a statement
+  orders
+    .filter(order => !matched.has(order.orderid) && (order.status === 'Success' || order.status === 'Pending'))
+    .forEach(order => issues.push(issue('missing-from-statement', order, null, 'not on the provider statement')));
+
+  const summary = issues.reduce((acc, item) => {
+    acc[item.issue] = (acc[item.issue] || 0) + 1;
+    return acc;
+  }, { orders: orders.length, statementRows: statement.length, matched: matchedCount, issues: issues.length });
+
+  return { summary, issues };
+}
+
+function issue(type, order, row, detail) {
+  return {
+    issue: type,
+    orderid: (order && order.orderid) || (row && row.orderid) || null,
+    txid: (order && order.txid) || (row && row.txid) || null,
+    number: (order && order.number) || (row && row.number) || null,
+    reference: (order && order.reference) || null,
+    ourAmount: order ? order.amount : null,
+    providerAmount: row ? row.amount : null,
+    ourStatus: order ? order.status : null,
+    providerStatus: row ? row.status : null,
+    detail
+  };
+}
+
+// Orders for one calendar day (local time) or an explicit from/to range
+async function ledgerOrders(ledger, { date, from, to } = {}) {
+  if (date) {
+    const start = new Date(`${date}T00:00:00`);
+    from = start.toISOString();
+    to = new Date(start.getTime() + 24 * 60 * 60 * 1000 - 1).toISOString();
+  }
+
+  const [orders, entries] = await Promise.all([ledger.listOrders({ from, to }), ledger.query({ operation: 'recharge' })]);
+
+  const references = new Map();
+  entries.forEach(entry => {
+    const request = entry.request || {};
+    const reference = request.reference || request.paymentReference;
+    if (reference) references.set(entry.orderid, reference);
+  });
+
+  return orders.map(order => ({ ...order, reference: references.get(order.orderid) || null }));
+}
+
+function issuesToCsv(result) {
+  return toCsv(result.issues, ISSUE_COLUMNS);
+}
+
+// ========================================
+// CLI
+// ========================================
+function argValue(args, name, fallback) {
+  const i = args.indexOf(name);
+  return i !== -1 && args[i + 1] ? args[i + 1] : fallback;
+}
+
+async function main(args) {
+  const statementPath = args[0];
+  if (!statementPath || statementPath.startsWith('--')) {
+    console.error('Usage: node a1topup/reconcile.js <statement.csv> [--ledger path] [--date YYYY-MM-DD] [--from ISO] [--to ISO] [--out base]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const date = argValue(args, '--date');
+  const ledger = new TransactionLedger({ path: argValue(args, '--ledger') });
+  const orders = await ledgerOrders(ledger, { date, from: argValue(args, '--from'), to: argValue(args, '--to') });
+  const statement = statementFromCsv(fs.readFileSync(statementPath, 'utf8'));
+  const result = reconcile(orders, statement);
+
+  const base = argValue(args, '--out', `reconciliation-${date || new Date().toISOString().slice(0, 10)}`);
+  fs.writeFileSync(`${base}.json`, JSON.stringify(result, null, 2));
+  fs.writeFileSync(`${base}.csv`, issuesToCsv(result));
+
+  console.log('Summary:', result.summary);
+  console.log(`Report written to ${base}.json and ${base}.csv`);
+  if (result.issues.length) process.exitCode = 2;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  statementFromCsv,
+  normalizeStatus,
+  reconcile,
+  ledgerOrders,
+  issuesToCsv
+};
@@ -0,0 +1,169 @@
+// a1topup/reconciler.js - Follows up pending recharges until they settle
+const EventEmitter = require('events');
+
+const DEFAULT_OPTIONS = {
+  initialDelay: 30 * 1000,      // first status check 30s after queueing
+  maxDelay: 10 * 60 * 1000,     // never wait more than 10 minutes between checks
+  factor: 2,
+  deadline: 24 * 60 * 60 * 1000 // give up after 24 hours
+};
+
+// ========================================
+// Pending Order Reconciler
+// ========================================
+// Events:
+//   'success' (result, entry)  - order reached Success
+//   'failure' (result, entry)  - order reached Failure
+//   'stuck'   (entry)          - deadline passed without a terminal status
+//   'checkError' (error, entry) - a status check failed; order stays queued
+class PendingOrderReconciler extends EventEmitter {
+  constructor(service, options = {}) {
+    super();
+
+    if (!service || typeof service.checkStatus !== 'function') {
+      throw new Error('PendingOrderReconciler requires an A1TopupService');
+    }
+
+    this.service = service;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.now = options.now || Date.now;
+    this.queue = new Map();
+    this.stuck = new Map();
+    this.timer = null;
+    this.running = false;
+    this.ticking = false;
+  }
+
+  add(orderid, meta = {}) {
+    if (this.queue.has(orderid)) return this.queue.get(orderid);
+
+    const now = this.now();
+    const entry = {
+      orderid,
+      meta,
+      addedAt: now,
+      deadlineAt: now + this.options.deadline,
+      nextCheckAt: now + this.options.initialDelay,
+      delay: this.options.initialDelay,
+      attempts: 0,
+      lastResult: null,
+      lastError: null
+    };
+
+    this.queue.set(orderid, entry);
+    this.schedule();
+    return entry;
+  }
+
+  remove(orderid) {
+    const removed = this.queue.delete(orderid);
+    this.schedule();
+    return removed;
+  }
+
+  pending() {
+    return Array.from(this.queue.values());
+  }
+
+  start() {
+    this.running = true;
+    this.schedule();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Checks every order that is due. Safe to call manually (e.g. from a cron).
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const now = this.now();
+      const due = this.pending().filter(entry => entry.nextCheckAt <= now);
+
+      for (const entry of due) {
+        await this.check(entry);
+      }
+    } finally {
+      this.ticking = false;
+      this.schedule();
+    }
+  }
+
+  async check(entry) {
+    entry.attempts++;
+
+    try {
+      const result = await this.service.checkStatus(entry.orderid);
+      entry.lastResult = result;
+      entry.lastError = null;
+
+      if (result.isSuccess || result.isFailure) {
+        this.queue.delete(entry.orderid);
+        this.emit(result.isSuccess ? 'success' : 'failure', result, entry);
+        return;
+      }
+    } catch (error) {
+      entry.lastError = error;
+      this.emit('checkError', error, entry);
+    }
+
+    const now = this.now();
+    if (now >= entry.deadlineAt) {
+      this.queue.delete(entry.orderid);
+      entry.stuckAt = now;
+      this.stuck.set(entry.orderid, entry);
+      this.emit('stuck', entry);
+      return;
+    }
+
+    entry.delay = Math.min(this.options.maxDelay, entry.delay * this.options.factor);
+    entry.nextCheckAt = Math.min(entry.deadlineAt, now + entry.delay);
+  }
+
+  // Orders that never settled, oldest first, in a shape ops can read
+  getStuckReport() {
+    return Array.from(this.stuck.values())
+      .sort((a, b) => a.addedAt - b.addedAt)
+      .map(entry => ({
+        orderid: entry.orderid,
+        meta: entry.meta,
+        addedAt: new Date(entry.addedAt).toISOString(),
+        stuckAt: new Date(entry.stuckAt).toISOString(),
+        attempts: entry.attempts,
+        lastStatus: entry.lastResult ? entry.lastResult.status : null,
+        lastError: entry.lastError ? entry.lastError.message : null
+      }));
+  }
+
+  clearStuck(orderid) {
+    if (orderid) return this.stuck.delete(orderid);
+    this.stuck.clear();
+    return true;
+  }
+
+  schedule() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.running || this.ticking || this.queue.size === 0) return;
+
+    const next = Math.min(...this.pending().map(entry => entry.nextCheckAt));
+    const wait = Math.max(0, next - this.now());
+
+    this.timer = setTimeout(() => {
+      this.tick().catch(error => this.emit('checkError', error, null));
+    }, wait);
+
+    // Don't keep a worker process alive just for the reconciler
+    if (this.timer.unref) this.timer.unref();
+  }
+}
+
+module.exports = {
+  PendingOrderReconciler,
+  DEFAULT_RECONCILER_OPTIONS: DEFAULT_OPTIONS
+};
@@ -0,0 +1,58 @@
+// a1topup/retry.js - Retry policy for A1Topup calls
+
+const DEFAULT_RETRY = {
+  retries: 2,
+  minDelay: 1000,
+  maxDelay: 15000,
+  factor: 2,
+  jitter: true
+};
+
+// Axios-style error codes that mean the request never got a usable answer
+const NETWORK_ERROR_CODES = [
+  'ECONNABORTED',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'ERR_NETWORK'
+];
+
+// ========================================
+// Helpers
+// ========================================
+function resolveRetryOptions(options) {
+  if (options === false) return { ...DEFAULT_RETRY, retries: 0 };
+  return { ...DEFAULT_RETRY, ...options };
+}
+
+// Only network failures and 5xx responses are retried; 4xx and
+// provider-level failures are final.
+function isRetryableError(error) {
+  if (!error) return false;
+  if (typeof error.retryable === 'boolean') return error.retryable;
+
+  const status = error.response && error.response.status;
+  if (status) return status >= 500;
+
+  return NETWORK_ERROR_CODES.includes(error.code) || !error.response && !!error.request;
+}
+
+// Exponential backoff with "equal jitter": a random delay in [cap / 2, cap]
+function computeBackoff(attempt, options) {
+  const cap = Math.min(options.maxDelay, options.minDelay * Math.pow(options.factor, attempt - 1));
+  return options.jitter ? Math.floor(cap / 2 + Math.random() * cap / 2) : cap;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  resolveRetryOptions,
+  isRetryableError,
+  computeBackoff,
+  sleep
+};
@@ -0,0 +1,294 @@
+// a1topup/service.js - A1Topup recharge API client
+const { createAxiosTransport } = require('./transport');
+const { resolveRetryOptions, isRetryableError, computeBackoff, sleep } = require('./retry');
+const { validateOperatorCircle } = require('./codes');
+const {
+  A1TopupError,
+  InvalidOperatorError,
+  MalformedResponseError,
+  fromProviderResponse,
+  fromTransportError,
+  providerMessage
+} = require('./errors');
+
+const DEFAULT_BASE_URL = 'https://business.a1topup.com/recharge';
+const DEFAULT_TIMEOUT = 30000; // 30 seconds
+// What /status says (as a Failure) about an orderid it has never seen
+const NO_RECORD_PATTERN = /no (record|order|transaction)s?( found)?|(record|order|transaction) not found|invalid order ?id/i;
+
+// ========================================
+// Config
+// ========================================
+// Options take precedence over environment variables:
+//   A1TOPUP_USERNAME, A1TOPUP_PASSWORD, A1TOPUP_BASE_URL, A1TOPUP_TIMEOUT
+function resolveConfig(options = {}, env = process.env) {
+  const config = {
+    username: options.username || env.A1TOPUP_USERNAME,
+    password: options.password || env.A1TOPUP_PASSWORD,
+    baseURL: options.baseURL || env.A1TOPUP_BASE_URL || DEFAULT_BASE_URL,
+    timeout: Number(options.timeout || env.A1TOPUP_TIMEOUT || DEFAULT_TIMEOUT)
+  };
+
+  if (!config.username || !config.password) {
+    throw new Error('A1Topup username and password are required (options or A1TOPUP_USERNAME/A1TOPUP_PASSWORD)');
+  }
+
+  return config;
+}
+
+// ========================================
+// A1Topup Service Class
+// ========================================
+class A1TopupService {
+  constructor(options = {}) {
+    const config = resolveConfig(options, options.env);
+
+    this.username = config.username;
+    this.password = config.password;
+    this.baseURL = config.baseURL.replace(/\/+$/, '');
+    this.timeout = config.timeout;
+    this.transport = options.transport || createAxiosTransport();
+    this.retry = resolveRetryOptions(options.retry);
+    this.sleep = options.sleep || sleep;
+    // Set to false to pass operator/circle codes through unchecked
+    this.validateCodes = options.validateCodes !== false;
+    // Optional TransactionLedger; every call is recorded when set
+    this.ledger = options.ledger || null;
+  }
+
+  // Runs `fn` and records the call, its timing and outcome in the ledger.
+  // A failed status check doesn't change the order's status; a failed
+  // recharge attempt is recorded as 'Error'.
+  async track(operation, context, fn) {
+    if (!this.ledger) return fn();
+
+    const startedAt = Date.now();
+    let result;
+
+    try {
+      result = await fn();
+    } catch (error) {
+      await this.writeLedger({
+        operation,
+        ...context,
+        status: operation === 'recharge' ? 'Error' : null,
+        error: { name: error.name, code: error.code, message: error.message, raw: error.raw },
+        durationMs: Date.now() - startedAt
+      });
+      throw error;
+    }
+
+    await this.writeLedger({
+      operation,
+      ...context,
+      orderid: context.orderid || result.orderid,
+      number: context.number || result.number,
+      amount: context.amount || result.amount,
+      status: result.status || null,
+      response: result,
+      durationMs: Date.now() - startedAt
+    });
+    return result;
+  }
+
+  // Ledger problems are logged, never allowed to fail a recharge
+  async writeLedger(entry) {
+    try {
+      await this.ledger.record(entry);
+    } catch (error) {
+      console.error('A1Topup ledger write failed:', error.message);
+    }
+  }
+
+  // Transport failures come back as typed A1TopupErrors labelled with `operation`
+  async request(path, params, operation) {
+    let response;
+
+    try {
+      response = await this.transport.get(`${this.baseURL}${path}`, {
+        params: {
+          username: this.username,
+          pwd: this.password,
+          ...params,
+          format: 'json'
+        },
+        timeout: this.timeout
+      });
+    } catch (error) {
+      throw fromTransportError(error, operation);
+    }
+
+    return response.data;
+  }
+
+  // Retries network/5xx failures with backoff. Before every retry the
+  // order is looked up by `orderid` so a recharge the provider already
+  // accepted is never sent twice.
+  async recharge(params) {
+    const { number, amount, operatorCode, circleCode, orderid } = params;
+    const maxRetries = orderid ? this.retry.retries : 0;
+
+    if (this.validateCodes) {
+      const check = validateOperatorCircle(operatorCode, circleCode);
+      if (!check.valid) throw new InvalidOperatorError(`Recharge failed: ${check.reason}`);
+    }
+
+    let attempt = 0;
+
+    let lastError;
+
+    while (true) {
+      try {
+        return await this.track('recharge', { orderid, number, amount, request: params }, async () => {
+          const data = await this.request('/api', {
+            circlecode: circleCode,
+            operatorcode: operatorCode,
+            number: number,
+            amount: amount,
+            orderid: orderid
+          }, 'Recharge');
+
+          return this.parseResponse(data, 'Recharge');
+        });
+      } catch (error) {
+        if (!isRetryableError(error) || attempt >= maxRetries) throw error;
+        lastError = error;
+      }
+
+      // Keep checking until the provider gives a definite answer
+      // about the order, or we run out of attempts.
+      let existing;
+      do {
+        attempt++;
+        await this.sleep(computeBackoff(attempt, this.retry));
+        existing = await this.findExistingOrder(orderid);
+      } while (existing === undefined && attempt < maxRetries);
+
+      if (existing) return existing;
+      if (existing === undefined) {
+        // Not safe to resend blindly; hand the order to the reconciler
+        throw new A1TopupError(`Recharge failed: outcome unknown for order ${orderid}`, {
+          code: 'OUTCOME_UNKNOWN',
+          raw: lastError.raw,
+          status: lastError.status,
+          cause: lastError
+        });
+      }
+    }
+  }
+
+  // Resolves with the parsed order when the provider knows it, null when it
+  // definitely doesn't, and undefined when the lookup itself failed.
+  // Unknown orders also come back as `Failure` ("No record found"), so a
+  // failure only counts as an order record when it isn't one of those.
+  async findExistingOrder(orderid) {
+    let result;
+    try {
+      result = await this.checkStatus(orderid);
+    } catch (error) {
+      return undefined;
+    }
+
+    if (result.isSuccess || result.isPending) return result;
+    if (result.isFailure) return NO_RECORD_PATTERN.test(result.message) ? null : result;
+    return undefined;
+  }
+
+  async checkStatus(orderid) {
+    return this.track('status', { orderid, request: { orderid } }, async () => {
+      const data = await this.request('/status', { orderid: orderid }, 'Status check');
+
+      return this.parseResponse(data, 'Status check');
+    });
+  }
+
+  async checkBalance() {
+    return this.track('balance', {}, async () => {
+      const data = await this.request('/balance', {}, 'Balance check');
+
+      const error = fromProviderResponse(data, 'Balance check');
+      if (error) throw error;
+
+      return data;
+    });
+  }
+
+  // Wallet balance as a number
+  async getBalance() {
+    return this.parseBalance(await this.checkBalance());
+  }
+
+  // Accepts {"balance": "1,234.50"}, {"Balance": 1234.5}, "1234.50" or
+  // "Your balance is Rs. 1,234.50"
+  parseBalance(data) {
+    let value = data;
+
+    if (typeof data === 'string') {
+      try {
+        value = JSON.parse(data);
+      } catch (e) {
+        value = data;
+      }
+    }
+    if (value && typeof value === 'object') {
+      value = value.balance !== undefined ? value.balance : value.Balance !== undefined ? value.Balance : value.bal;
+    }
+
+    const match = String(value === undefined || value === null ? '' : value).replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+    if (!match) {
+      throw new MalformedResponseError('Balance check failed: no balance in response', { raw: data });
+    }
+
+    return Number(match[0]);
+  }
+
+  // Throws a typed error when the payload isn't JSON or reports a known
+  // failure kind (auth, balance, operator, duplicate, timeout). A plain
+  // `Failure` from the operator is returned as a result, not thrown.
+  parseResponse(data, operation = 'Request') {
+    const raw = data;
+
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (e) {
+        throw fromProviderResponse(raw, operation) ||
+          new MalformedResponseError(`${operation} failed: response is not JSON`, { raw });
+      }
+    }
+
+    if (!data || typeof data !== 'object' || !data.status) {
+      throw fromProviderResponse(data, operation) ||
+        new MalformedResponseError(`${operation} failed: response has no status`, { raw });
+    }
+
+    if (data.status !== 'Success' && data.status !== 'Pending') {
+      const error = fromProviderResponse(data, operation);
+      if (error) throw error;
+    }
+
+    return {
+      txid: data.txid,
+      status: data.status,
+      opid: data.opid,
+      number: data.number,
+      amount: data.amount,
+      orderid: data.orderid,
+      message: data.status === 'Success' || data.status === 'Pending' ? data.message || '' : providerMessage(data),
+      isSuccess: data.status === 'Success',
+      isPending: data.status === 'Pending',
+      isFailure: data.status === 'Failure'
+    };
+  }
+
+  static generateOrderId() {
+    return `ORD${Date.now()}${Math.floor(Math.random() * 10000)}`;
+  }
+}
+
+module.exports = {
+  A1TopupService,
+  resolveConfig,
+  DEFAULT_BASE_URL,
+  DEFAULT_TIMEOUT
+};
@@ -0,0 +1,33 @@
+// a1topup/transport.js - HTTP transports for A1TopupService
+
+// ========================================
+// Transport contract
+// ========================================
+// A transport is any object with:
+//
+//   get(url, { params, timeout }) -> Promise<{ status, data }>
+//
+// It resolves with the HTTP status and parsed (or raw string) body, and
+// rejects on network errors, timeouts and non-2xx responses. Rejections
+// should carry `code` (e.g. 'ECONNABORTED') and `response.status` where
+// available, the same shape axios uses.
+
+// ========================================
+// Default axios transport
+// ========================================
+function createAxiosTransport(axiosInstance) {
+  // Required lazily so callers that inject their own transport
+  // don't need axios installed.
+  const client = axiosInstance || require('axios');
+
+  return {
+    async get(url, { params, timeout } = {}) {
+      const response = await client.get(url, { params, timeout });
+      return { status: response.status, data: response.data };
+    }
+  };
+}
+
+module.exports = {
+  createAxiosTransport
+};
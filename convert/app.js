@@ -1,26 +1,153 @@
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
-const API_BASE_URL = 'https://secrets-of-secrets.onrender.com/api';
+// window.HORIZONPAY_API_BASE_URL points the page at another backend (e.g. convert/mock-rate-server.js)
+const API_BASE_URL = window.HORIZONPAY_API_BASE_URL || 'https://secrets-of-secrets.onrender.com/api';
 const RATE_REFRESH_INTERVAL = 20000;
+// Rates are pushed over SSE (corridor.streamPath); polling every RATE_REFRESH_INTERVAL is the fallback
+const RATE_STREAM_MAX_ERRORS = 3;
+const RATE_STREAM_RETRY_DELAY = 60000;
+const API_TIMEOUT = 15000;
+// GET retries cover Render cold starts (~30s worst case)
+const API_RETRY = { retries: 3, baseDelay: 1000, maxDelay: 8000 };
+// POSTs are never retried, so they get one attempt long enough to sit out a cold start;
+// giving up earlier could leave a session or payment created on a request we reported as failed
+const API_WRITE_TIMEOUT = 60000;
+
+// Last good rate is kept in localStorage; sessions can't be created on a rate older than this
+const RATE_CACHE_KEY = 'horizonpay_rate_cache';
+// Cutoff in ms: corridor.rateStaleCutoff, else window.HORIZONPAY_RATE_STALE_CUTOFF, else 30 minutes
+const RATE_STALE_CUTOFF = Number(window.HORIZONPAY_RATE_STALE_CUTOFF) || 30 * 60 * 1000;
+
+// Rolling rate history (one point per bucket) and the user's target-rate alert
+const RATE_HISTORY_KEY = 'horizonpay_rate_history';
+const RATE_HISTORY_BUCKET = 10 * 60 * 1000;
+const RATE_HISTORY_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+const RATE_HISTORY_RANGES = { '24h': 24 * 60 * 60 * 1000, '7d': 7 * 24 * 60 * 60 * 1000, '30d': RATE_HISTORY_MAX_AGE };
+const RATE_ALERT_KEY = 'horizonpay_rate_alert';
+// The server owns the lock; this window is only used if /convert omits an expiry
+const RATE_LOCK_FALLBACK = 5 * 60 * 1000;
+// Active conversion, so a reload or crashed Paystack popup can pick it back up
+const ACTIVE_SESSION_KEY = 'horizonpay_active_session';
+// Signed-in users' conversions are kept under transactions/{uid}/{sessionId}
+const HISTORY_LIMIT = 200;
+const HISTORY_DETAIL_POLL = 5000;
+// Pending entries are re-checked against /payment/status when history loads, a few at a
+// time so a cold-starting backend isn't hit with one request per entry
+const HISTORY_FINAL_STATUSES = ['completed', 'failed', 'expired'];
+const HISTORY_REFRESH_CONCURRENCY = 4;
+const HISTORY_EXPIRY_RECHECK_DELAY = 3000;
+// IFSC codes are validated against the bundled dataset; branch/city come from
+// per-bank shards next to it (<dir>/<BANK>.json). Both are built by
+// build-ifsc-dataset.js and served with the page, so codes never leave the site.
+const IFSC_DATASET_URL = window.HORIZONPAY_IFSC_DATASET_URL || 'ifsc-dataset.json';
+const IFSC_BRANCHES_URL = window.HORIZONPAY_IFSC_BRANCHES_URL || 'ifsc-branches';
+// Recipient name check before /convert, off unless window.HORIZONPAY_RECIPIENT_VERIFIER
+// names an adapter: 'api' asks the backend (/recipients/verify, not deployed yet),
+// 'mock' is the local directory in mock-recipients.js (dev only, load it after app.js)
+const RECIPIENT_VERIFIER = window.HORIZONPAY_RECIPIENT_VERIFIER || null;
+const NAME_MATCH_THRESHOLD = 0.85;
+// Saved recipients live under beneficiaries/{uid}/{id}
+const BENEFICIARY_FIELDS = {
+    upi: ['upiId', 'receiverName'],
+    bank: ['accountNumber', 'ifscCode', 'accountName']
+};
 const audioContext = new (window.AudioContext || window.webkitAudioContext)();
 
-// Transaction limits
-const TRANSACTION_LIMITS = {
-    guest: { min: 1000, max: 350000 },
-    authenticated: { min: 1000, max: 10000000 }
+// ============================================================================
+// CORRIDORS
+// ============================================================================
+// Everything currency-specific lives here: enabling a corridor is a matter of
+// flipping `enabled` once the backend quotes it.
+//   limits        - send-currency limits for guests / signed-in users
+//   payoutMethods - receive methods offered (data-method in #receiveMethodDropdown)
+//   gateway       - currency the payment gateway charges in, and its subunit
+//   pricing       - the backend's fee tiers, FX margin and rounding, for the calculator preview
+//   rateStaleCutoff - optional, overrides RATE_STALE_CUTOFF for this corridor
+const CORRIDORS = {
+    'NGN-INR': {
+        id: 'NGN-INR',
+        send: { currency: 'NGN', symbol: '₦', flag: 'fi-ng' },
+        receive: { currency: 'INR', symbol: '₹', flag: 'fi-in' },
+        limits: {
+            guest: { min: 1000, max: 350000 },
+            authenticated: { min: 1000, max: 10000000 }
+        },
+        payoutMethods: ['upi', 'bank'],
+        gateway: { provider: 'paystack', currency: 'NGN', subunit: 100 },
+        pricing: {
+            feeTiers: [{ upTo: Infinity, percent: 0.5, fixed: 0 }],
+            minFee: 0,
+            fxMargin: 0,
+            decimals: { send: 2, receive: 2 }
+        },
+        ratesPath: '/rates',
+        streamPath: '/rates/stream',
+        enabled: true
+    },
+    'GHS-INR': {
+        id: 'GHS-INR',
+        send: { currency: 'GHS', symbol: 'GH₵', flag: 'fi-gh' },
+        receive: { currency: 'INR', symbol: '₹', flag: 'fi-in' },
+        limits: {
+            guest: { min: 10, max: 3000 },
+            authenticated: { min: 10, max: 90000 }
+        },
+        payoutMethods: ['upi', 'bank'],
+        gateway: { provider: 'paystack', currency: 'GHS', subunit: 100 },
+        pricing: {
+            feeTiers: [{ upTo: Infinity, percent: 0.5, fixed: 0 }],
+            minFee: 0,
+            fxMargin: 0,
+            decimals: { send: 2, receive: 2 }
+        },
+        ratesPath: '/rates?from=GHS&to=INR',
+        streamPath: '/rates/stream?from=GHS&to=INR',
+        enabled: false
+    },
+    'KES-INR': {
+        id: 'KES-INR',
+        send: { currency: 'KES', symbol: 'KSh', flag: 'fi-ke' },
+        receive: { currency: 'INR', symbol: '₹', flag: 'fi-in' },
+        limits: {
+            guest: { min: 100, max: 30000 },
+            authenticated: { min: 100, max: 900000 }
+        },
+        payoutMethods: ['upi', 'bank'],
+        gateway: { provider: 'paystack', currency: 'KES', subunit: 100 },
+        pricing: {
+            feeTiers: [{ upTo: Infinity, percent: 0.5, fixed: 0 }],
+            minFee: 0,
+            fxMargin: 0,
+            decimals: { send: 2, receive: 2 }
+        },
+        ratesPath: '/rates?from=KES&to=INR',
+        streamPath: '/rates/stream?from=KES&to=INR',
+        enabled: false
+    }
 };
+const DEFAULT_CORRIDOR = 'NGN-INR';
+const CORRIDOR_KEY = 'horizonpay_corridor';
+// Pricing notes (preview only: step 2 and Paystack use the /convert quote,
+// see quote-engine.js). Keep these in step with the backend:
+//   feeTiers  - first tier whose `upTo` covers the send amount applies;
+//               fee = sendAmount * percent / 100 + fixed, never below minFee.
+//               Like feeCharged it's part of the send amount, not added on top
+//   fxMargin  - fraction added on top of the quoted rate (horizonPayRate
+//               already carries our spread, so this is 0 unless a corridor needs more)
+//   decimals  - minor units per currency
 
 // ============================================================================
 // STATE MANAGEMENT
 // ============================================================================
 let state = {
+    corridor: CORRIDORS[DEFAULT_CORRIDOR],
     sendAmount: 1000,
-    sendCurrency: 'NGN',
-    sendSymbol: '₦',
+    sendCurrency: CORRIDORS[DEFAULT_CORRIDOR].send.currency,
+    sendSymbol: CORRIDORS[DEFAULT_CORRIDOR].send.symbol,
     receiveAmount: 0,
-    receiveCurrency: 'INR',
-    receiveSymbol: '₹',
+    receiveCurrency: CORRIDORS[DEFAULT_CORRIDOR].receive.currency,
+    receiveSymbol: CORRIDORS[DEFAULT_CORRIDOR].receive.symbol,
     payMethod: 'bank',
     receiveMethod: 'upi',
     receiveTime: '5-10 minutes',
@@ -28,17 +155,26 @@ let state = {
     sessionId: null,
     rateData: null,
     lastRateUpdate: null,
+    rateFromCache: false,
     qrStream: null,
+    upiIntent: null,
     paymentDetails: null,
     lockedRate: null,
     lockedRateData: null,
     rateRefreshInterval: null,
+    rateFetchPromise: null,
+    rateStream: null,
     countdownInterval: null,
     countdownEndTime: null,
+    rateLockExpiresAt: null,
+    conversionRequest: null,
+    quote: null,
+    quotePreview: null,
+    promotion: null,
     user: null,
     isAuthenticated: false,
     userEmail: null,
-    transactionLimit: TRANSACTION_LIMITS.guest
+    transactionLimit: CORRIDORS[DEFAULT_CORRIDOR].limits.guest
 };
 
 let auth, db;
@@ -435,7 +571,7 @@ async function initFirebase() {
                     state.user = user;
                     state.isAuthenticated = true;
                     state.userEmail = user.email;
-                    state.transactionLimit = TRANSACTION_LIMITS.authenticated;
+                    state.transactionLimit = state.corridor.limits.authenticated;
                     
                     // Hide email field
                     const emailField = document.getElementById('email');
@@ -458,7 +594,7 @@ if (!sessionStorage.getItem('welcomeShown')) {
                     state.user = null;
                     state.isAuthenticated = false;
                     state.userEmail = null;
-                    state.transactionLimit = TRANSACTION_LIMITS.guest;
+                    state.transactionLimit = state.corridor.limits.guest;
                     
                     // Show email field
                     const emailField = document.getElementById('email');
@@ -472,6 +608,8 @@ if (!sessionStorage.getItem('welcomeShown')) {
                 }
                 
                 updateTransactionLimitUI();
+                document.getElementById('historyBtn')?.classList.toggle('hidden', !state.isAuthenticated);
+                Beneficiaries.refresh();
                 
                 // ✅ Resolve after first auth check (fast!)
                 resolve(true);
@@ -533,7 +671,7 @@ function updateTransactionLimitUI() {
     const limitText = document.querySelector('.transaction-limit-text');
     if (limitText) {
         const { min, max } = state.transactionLimit;
-        limitText.textContent = `Transaction limit: ₦${min.toLocaleString()} - ₦${max.toLocaleString()}`;
+        limitText.textContent = `Transaction limit: ${formatSendAmount(min, true)} - ${formatSendAmount(max, true)}`;
         
         if (!state.isAuthenticated) {
             const existingPrompt = limitText.querySelector('small');
@@ -541,7 +679,7 @@ function updateTransactionLimitUI() {
             
             const signInPrompt = document.createElement('small');
             signInPrompt.style.cssText = 'display: block; color: #6b4ef6; margin-top: 4px; cursor: pointer;';
-            signInPrompt.innerHTML = '🔓 Sign in to send up to ₦10,000,000';
+            signInPrompt.innerHTML = `🔓 Sign in to send up to ${formatSendAmount(state.corridor.limits.authenticated.max, true)}`;
             signInPrompt.onclick = () => {
                 window.location.href = '../auth/';
             };
@@ -565,10 +703,279 @@ const validators = {
     name: (name) => name.trim().length >= 3 && /^[a-zA-Z\s.]+$/.test(name)
 };
 
+// ============================================================================
+// IFSC RESOLVER
+// ============================================================================
+// Static JSON served next to the page; a missing file resolves to null
+function fetchStaticJson(url) {
+    return fetch(url).then(response => {
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`${url} unavailable (${response.status})`);
+        return response.json();
+    });
+}
+
+// Lookups live in ifsc-lookup.js; this wires them to the IFSC field
+const IfscResolver = {
+    lookup: IfscLookup.createIfscLookup({
+        loadJson: fetchStaticJson,
+        datasetUrl: IFSC_DATASET_URL,
+        branchesUrl: IFSC_BRANCHES_URL
+    }),
+    lookupTimer: null,
+
+    loadDataset() {
+        return this.lookup.loadDataset();
+    },
+
+    isKnown(code) {
+        return this.lookup.isKnown(code);
+    },
+
+    resolve(code) {
+        return this.lookup.resolve(code);
+    },
+
+    renderStatus(result) {
+        const el = document.getElementById('ifscDetails');
+        if (!el) return;
+        
+        el.className = 'ifsc-details';
+        if (!result) {
+            el.textContent = '';
+            return;
+        }
+        if (result.loading) {
+            el.textContent = 'Looking up IFSC...';
+            return;
+        }
+        if (!result.valid) {
+            el.classList.add('ifsc-details-invalid');
+            el.textContent = result.reason;
+            return;
+        }
+        
+        const { bank, branch, city, state: region } = result.details;
+        el.classList.add('ifsc-details-valid');
+        el.textContent = `✓ ${[bank, branch, [city, region].filter(Boolean).join(', ')].filter(Boolean).join(' • ')}`;
+    },
+
+    handleInput(value) {
+        clearTimeout(this.lookupTimer);
+        
+        const code = value.trim().toUpperCase();
+        if (code.length < 11) {
+            this.renderStatus(null);
+            return;
+        }
+        
+        this.renderStatus({ loading: true });
+        this.lookupTimer = setTimeout(async () => {
+            const result = await this.resolve(code);
+            // Ignore answers for a code the user has since changed
+            if (document.getElementById('ifscCode')?.value.trim().toUpperCase() !== code) return;
+            this.renderStatus(result);
+        }, 250);
+    },
+
+    init() {
+        const input = document.getElementById('ifscCode');
+        if (!input) return;
+        
+        input.addEventListener('input', () => {
+            const caret = input.selectionStart;
+            input.value = input.value.toUpperCase();
+            input.setSelectionRange?.(caret, caret);
+            this.handleInput(input.value);
+        });
+        
+        // Fetch the dataset once bank payout is likely, not on every page load
+        document.querySelector('#receiveMethodDropdown .payment-option[data-method="bank"]')
+            ?.addEventListener('click', () => this.loadDataset().catch(error => console.error('IFSC dataset load failed:', error)));
+        
+        if (input.value) this.handleInput(input.value);
+    }
+};
+
+// ============================================================================
+// UPI INTENT / QR PARSING
+// ============================================================================
+// Parsing and building live in upi-uri.js (window.UpiUri) so the tests share them.
+// Screenshot decoding: regions are drawn at most this many pixels on a side
+const QR_IMAGE_MAX_SIZE = 1024;
+// Camera scanning: decode a centre crop of the frame, downscaled, a few times a second
+const QR_SCAN_INTERVAL = 150;
+const QR_SCAN_SIZE = 480;
+const QR_SCAN_CROP = 0.7;
+// Pause after an unusable code so the same frame doesn't re-toast
+const QR_INVALID_PAUSE = 1500;
+const QR_WORKER_URL = 'qr-worker.js';
+// A failed BarcodeDetector.detect() falls back to jsQR; after this many in a row it's dropped
+const QR_DETECTOR_MAX_ERRORS = 3;
+// Frames that fail to decode are skipped; the camera only gives up after this many in a row
+const QR_DECODE_MAX_ERRORS = 10;
+
+// ============================================================================
+// RECIPIENT VERIFICATION
+// ============================================================================
+// Adapters resolve { upiId } or { accountNumber, ifscCode } to
+// { found, registeredName }. Register more with RecipientVerification.register().
+const RecipientVerifiers = {
+    // The backend answers unknown accounts with { found: false }, or a 404
+    // whose body says RECIPIENT_NOT_FOUND. Any other 404 means the route
+    // itself is missing: that's "couldn't verify", not "no such account".
+    api: {
+        async resolve(account) {
+            try {
+                return await ApiClient.post('/recipients/verify', account);
+            } catch (error) {
+                if (error instanceof ApiError && error.status === 404 &&
+                    (error.code === 'RECIPIENT_NOT_FOUND' || error.details?.found === false)) {
+                    return { found: false };
+                }
+                throw error;
+            }
+        }
+    }
+};
+
+const RecipientVerification = {
+    results: new Map(),
+
+    register(name, adapter) {
+        RecipientVerifiers[name] = adapter;
+    },
+
+    // null when verification is off or the named adapter isn't registered
+    adapter() {
+        return (RECIPIENT_VERIFIER && RecipientVerifiers[RECIPIENT_VERIFIER]) || null;
+    },
+
+    accountOf(details) {
+        return details.upiId
+            ? { type: 'upi', upiId: details.upiId }
+            : { type: 'bank', accountNumber: details.accountNumber, ifscCode: details.ifscCode };
+    },
+
+    nameScore(entered, registered) {
+        return RecipientMatch.nameScore(entered, registered);
+    },
+
+    async resolve(details) {
+        const account = this.accountOf(details);
+        const key = JSON.stringify(account);
+        if (!this.results.has(key)) {
+            // Failed lookups aren't cached so the next attempt retries
+            const lookup = this.adapter().resolve(account).catch(error => {
+                this.results.delete(key);
+                throw error;
+            });
+            this.results.set(key, lookup);
+        }
+        return this.results.get(key);
+    },
+
+    // Returns the verification record sent with /convert (null when
+    // verification is off), or throws
+    async confirm(details, enteredName) {
+        if (!this.adapter()) return null;
+        
+        showLoading(true, 'Verifying recipient...');
+        let result;
+        try {
+            result = await this.resolve(details);
+        } catch (error) {
+            console.error('Recipient verification failed:', error);
+            result = null;
+        } finally {
+            showLoading(false);
+        }
+        
+        if (result && !result.found) {
+            this.renderStatus(details, null);
+            throw new Error(details.upiId
+                ? 'This UPI ID is not registered to anyone. Please check it with the recipient.'
+                : 'No account found for this account number and IFSC code.');
+        }
+        
+        if (!result) {
+            await this.ask({
+                title: 'Recipient Not Verified',
+                message: "We couldn't verify who owns this account right now. Only continue if you're sure the details are correct.",
+                entered: enteredName,
+                registered: null
+            });
+            return { status: 'unverified_confirmed', registeredName: null, score: null };
+        }
+        
+        const score = Math.round(this.nameScore(enteredName, result.registeredName) * 100) / 100;
+        this.renderStatus(details, result.registeredName);
+        
+        if (score >= NAME_MATCH_THRESHOLD) {
+            return { status: 'matched', registeredName: result.registeredName, score };
+        }
+        
+        await this.ask({
+            title: 'Name Does Not Match',
+            message: 'The name registered to this account is different from the one you entered. Money sent to the wrong person may not be recoverable.',
+            entered: enteredName,
+            registered: result.registeredName
+        });
+        return { status: 'mismatch_confirmed', registeredName: result.registeredName, score };
+    },
+
+    renderStatus(details, registeredName) {
+        const el = document.getElementById(details.upiId ? 'upiNameStatus' : 'bankNameStatus');
+        if (!el) return;
+        el.textContent = registeredName ? `Registered name: ${registeredName}` : '';
+        el.classList.toggle('hidden', !registeredName);
+    },
+
+    // Resolves when the user confirms; rejects with RECIPIENT_NOT_CONFIRMED
+    // otherwise. Without the modal there is no way to confirm, so it fails closed.
+    ask({ title, message, entered, registered }) {
+        const modal = document.getElementById('recipientConfirmModal');
+        if (!modal) {
+            return Promise.reject(new Error(`${title}. Please check the recipient details and try again.`));
+        }
+        
+        safeSetText('recipientConfirmTitle', title);
+        safeSetText('recipientConfirmMessage', message);
+        safeSetText('recipientConfirmEntered', entered);
+        safeSetText('recipientConfirmRegistered', registered || 'Unavailable');
+        modal.classList.add('active');
+        
+        return new Promise((resolve, reject) => {
+            const confirmBtn = document.getElementById('recipientConfirmBtn');
+            const editBtn = document.getElementById('recipientEditBtn');
+            
+            const finish = (confirmed) => {
+                modal.classList.remove('active');
+                confirmBtn?.removeEventListener('click', onConfirm);
+                editBtn?.removeEventListener('click', onEdit);
+                if (confirmed) {
+                    resolve();
+                } else {
+                    const error = new Error('Recipient not confirmed');
+                    error.code = 'RECIPIENT_NOT_CONFIRMED';
+                    reject(error);
+                }
+            };
+            const onConfirm = () => finish(true);
+            const onEdit = () => finish(false);
+            
+            confirmBtn?.addEventListener('click', onConfirm);
+            editBtn?.addEventListener('click', onEdit);
+        });
+    }
+};
+
 // ============================================================================
 // QR CODE SCANNER
 // ============================================================================
 const QRScanner = {
+    detectorErrors: 0,
+
     async init() {
         try {
             if (!navigator.mediaDevices?.getUserMedia) {
@@ -602,71 +1009,302 @@ const QRScanner = {
             this.scanFrame(video);
         } catch (error) {
             console.error('Camera access error:', error);
-            showToast('error', 'Camera Access Denied', 'Please enter UPI ID manually');
+            showToast('error', 'Camera Access Denied', 'Upload or paste a screenshot of the QR code instead');
             this.stopScanning();
         }
     },
 
+    // Regions to try, as fractions of the image. Chat screenshots are tall
+    // with the code somewhere in the middle, so bands come before corners.
+    imageRegions() {
+        return [
+            { x: 0, y: 0, w: 1, h: 1 },
+            { x: 0.15, y: 0.15, w: 0.7, h: 0.7 },
+            { x: 0, y: 0.25, w: 1, h: 0.5 },
+            { x: 0, y: 0, w: 1, h: 0.5 },
+            { x: 0, y: 0.5, w: 1, h: 0.5 },
+            { x: 0, y: 0, w: 0.5, h: 0.5 },
+            { x: 0.5, y: 0, w: 0.5, h: 0.5 },
+            { x: 0, y: 0.5, w: 0.5, h: 0.5 },
+            { x: 0.5, y: 0.5, w: 0.5, h: 0.5 }
+        ];
+    },
+
+    async loadImage(file) {
+        if (window.createImageBitmap) {
+            try {
+                return await createImageBitmap(file);
+            } catch (error) {
+                console.warn('⚠️ createImageBitmap failed, falling back to <img>:', error);
+            }
+        }
+        
+        const url = URL.createObjectURL(file);
+        try {
+            const img = new Image();
+            await new Promise((resolve, reject) => {
+                img.onload = resolve;
+                img.onerror = () => reject(new Error('Could not read image'));
+                img.src = url;
+            });
+            return img;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    },
+
+    // Draws a region downscaled to QR_IMAGE_MAX_SIZE, rotated by `angle` degrees
+    decodeRegion(image, region, angle, canvas) {
+        const width = image.width || image.naturalWidth;
+        const height = image.height || image.naturalHeight;
+        const sx = region.x * width, sy = region.y * height;
+        const sw = region.w * width, sh = region.h * height;
+        const scale = Math.min(1, QR_IMAGE_MAX_SIZE / Math.max(sw, sh));
+        const dw = Math.round(sw * scale), dh = Math.round(sh * scale);
+        const quarterTurn = angle % 180 !== 0;
+        
+        canvas.width = quarterTurn ? dh : dw;
+        canvas.height = quarterTurn ? dw : dh;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.save();
+        context.translate(canvas.width / 2, canvas.height / 2);
+        context.rotate(angle * Math.PI / 180);
+        context.drawImage(image, sx, sy, sw, sh, -dw / 2, -dh / 2, dw, dh);
+        context.restore();
+        
+        const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+        return jsQR(imageData.data, imageData.width, imageData.height);
+    },
+
+    // Decodes a QR from an uploaded or pasted image (File/Blob)
+    async scanImage(file) {
+        if (!file || !file.type.startsWith('image/')) {
+            showToast('error', 'Invalid File', 'Please choose an image of the QR code');
+            return false;
+        }
+        if (typeof jsQR === 'undefined') {
+            showToast('error', 'QR Scanner Error', 'Scanner library not available');
+            return false;
+        }
+        
+        showLoading(true, 'Reading QR code...');
+        let image;
+        try {
+            image = await this.loadImage(file);
+            const canvas = document.createElement('canvas');
+            
+            // Upright first across every region, then the rotated passes
+            for (const angle of [0, 90, 180, 270]) {
+                for (const region of this.imageRegions()) {
+                    const code = this.decodeRegion(image, region, angle, canvas);
+                    if (code?.data) {
+                        console.log('📷 QR found in image:', region, `${angle}°`);
+                        this.handleQRCode(code.data);
+                        return true;
+                    }
+                    // Keep the spinner animating between attempts
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+            
+            showToast('error', 'No QR Found', 'Try a sharper screenshot, cropped close to the QR code');
+            return false;
+        } catch (error) {
+            console.error('QR image error:', error);
+            showToast('error', 'QR Scanner Error', error.message || 'Could not read image');
+            return false;
+        } finally {
+            image?.close?.();
+            showLoading(false);
+        }
+    },
+
+    // Native decoder when the browser has one (Chrome on Android, Safari 17+)
+    async getDetector() {
+        if (this.detector !== undefined) return this.detector;
+        this.detector = null;
+        
+        try {
+            if ('BarcodeDetector' in window) {
+                const formats = await BarcodeDetector.getSupportedFormats();
+                if (formats.includes('qr_code')) {
+                    this.detector = new BarcodeDetector({ formats: ['qr_code'] });
+                    console.log('📷 Using native BarcodeDetector');
+                }
+            }
+        } catch (error) {
+            console.warn('⚠️ BarcodeDetector unavailable:', error);
+        }
+        return this.detector;
+    },
+
+    // One worker for the page's lifetime; null means decode on the main thread
+    getWorker() {
+        if (this.worker !== undefined) return this.worker;
+        this.worker = null;
+        this.workerRequests = new Map();
+        this.workerRequestId = 0;
+        
+        try {
+            if (window.Worker) {
+                const worker = new Worker(QR_WORKER_URL);
+                worker.onmessage = (event) => {
+                    const { id, data } = event.data;
+                    this.workerRequests.get(id)?.(data);
+                    this.workerRequests.delete(id);
+                };
+                worker.onerror = (error) => {
+                    console.warn('⚠️ QR worker failed, decoding on main thread:', error.message);
+                    worker.terminate();
+                    this.worker = null;
+                    this.workerRequests.forEach(resolve => resolve(null));
+                    this.workerRequests.clear();
+                };
+                this.worker = worker;
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not start QR worker:', error);
+        }
+        return this.worker;
+    },
+
+    // false only when neither the native detector, the worker nor jsQR can decode
+    canDecode() {
+        return Boolean(this.detector || this.getWorker() || typeof jsQR !== 'undefined');
+    },
+
+    decodeOnMainThread(imageData) {
+        if (typeof jsQR === 'undefined') throw new Error('Scanner library not available');
+        return jsQR(imageData.data, imageData.width, imageData.height, { inversionAttempts: 'dontInvert' })?.data || null;
+    },
+
+    decodeImageData(imageData) {
+        const worker = this.getWorker();
+        if (!worker) return Promise.resolve(this.decodeOnMainThread(imageData));
+        
+        const id = ++this.workerRequestId;
+        try {
+            const { width, height, data } = imageData;
+            const pending = new Promise(resolve => this.workerRequests.set(id, resolve));
+            worker.postMessage({ id, width, height, buffer: data.buffer }, [data.buffer]);
+            return pending;
+        } catch (error) {
+            // The buffer is only transferred if postMessage succeeded, so it's still usable here
+            console.warn('⚠️ QR worker rejected a frame, decoding on main thread:', error);
+            this.workerRequests.delete(id);
+            return Promise.resolve(this.decodeOnMainThread(imageData));
+        }
+    },
+
+    // Centre square of the frame, downscaled to at most QR_SCAN_SIZE
+    sizeScanCanvas(video, canvas) {
+        const crop = Math.round(Math.min(video.videoWidth, video.videoHeight) * QR_SCAN_CROP);
+        const size = Math.min(crop, QR_SCAN_SIZE);
+        canvas.width = canvas.height = size;
+        return {
+            sx: Math.round((video.videoWidth - crop) / 2),
+            sy: Math.round((video.videoHeight - crop) / 2),
+            crop,
+            size
+        };
+    },
+
+    async decodeFrame(video, canvas, context, region) {
+        const detector = await this.getDetector();
+        if (detector) {
+            try {
+                const codes = await detector.detect(video);
+                this.detectorErrors = 0;
+                return codes[0]?.rawValue || null;
+            } catch (error) {
+                console.warn('⚠️ BarcodeDetector failed, decoding with jsQR:', error);
+                if (++this.detectorErrors >= QR_DETECTOR_MAX_ERRORS) this.detector = null;
+            }
+        }
+        
+        context.drawImage(video, region.sx, region.sy, region.crop, region.crop, 0, 0, region.size, region.size);
+        return this.decodeImageData(context.getImageData(0, 0, region.size, region.size));
+    },
+
     scanFrame(video) {
         if (!video.srcObject) return;
 
         const canvas = document.createElement('canvas');
-        const context = canvas.getContext('2d');
-        canvas.width = video.videoWidth;
-        canvas.height = video.videoHeight;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        let region = null;
+        let decodeErrors = 0;
         
-        const scan = () => {
-            if (!video.srcObject) return;
-            
-            context.drawImage(video, 0, 0, canvas.width, canvas.height);
-            const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+        // videoWidth is 0 until metadata arrives, and changes on rotation
+        const resize = () => {
+            if (video.videoWidth && video.videoHeight) region = this.sizeScanCanvas(video, canvas);
+        };
+        resize();
+        video.addEventListener('loadedmetadata', resize);
+        video.addEventListener('resize', resize);
+        
+        const stop = () => {
+            clearTimeout(this.scanTimer);
+            video.removeEventListener('loadedmetadata', resize);
+            video.removeEventListener('resize', resize);
+        };
+        
+        // Throttled, and via rAF so a hidden tab stops decoding altogether
+        const schedule = (delay = QR_SCAN_INTERVAL) => {
+            clearTimeout(this.scanTimer);
+            this.scanTimer = setTimeout(() => requestAnimationFrame(scan), delay);
+        };
+        
+        const scan = async () => {
+            if (!video.srcObject) return stop();
+            if (!region) return schedule();
             
-            if (typeof jsQR !== 'undefined') {
-                const code = jsQR(imageData.data, imageData.width, imageData.height);
-                if (code) {
-                    this.handleQRCode(code.data);
-                } else {
-                    requestAnimationFrame(scan);
-                }
-            } else {
-                console.error('jsQR library not loaded');
+            let data = null;
+            try {
+                data = await this.decodeFrame(video, canvas, context, region);
+                decodeErrors = 0;
+            } catch (error) {
+                console.error('QR decode error:', error);
+                // One bad frame just moves on to the next
+                const libraryMissing = !this.canDecode();
+                if (!libraryMissing && ++decodeErrors < QR_DECODE_MAX_ERRORS) return schedule();
+                
+                stop();
                 this.stopScanning();
-                showToast('error', 'QR Scanner Error', 'Scanner library not available');
+                showToast('error', 'QR Scanner Error', libraryMissing ? 'Scanner library not available' : 'Could not read QR codes from the camera');
+                return;
             }
+            
+            if (!video.srcObject) return stop();
+            if (!data) return schedule();
+            
+            this.handleQRCode(data);
+            // handleQRCode stops the camera on success; otherwise keep looking
+            if (video.srcObject) schedule(QR_INVALID_PAUSE);
+            else stop();
         };
-        scan();
+        schedule(0);
     },
 
     handleQRCode(data) {
         try {
-            let upiId = null, name = null;
+            const intent = UpiUri.parse(data);
             
-            if (data.startsWith('upi://pay')) {
-                const params = new URLSearchParams(data.split('?')[1]);
-                upiId = params.get('pa');
-                name = params.get('pn');
-            } else if (data.includes('@')) {
-                upiId = data;
-            } else if (data.includes('upi://')) {
-                const match = data.match(/pa=([^&]+)/);
-                if (match) upiId = match[1];
-                const nameMatch = data.match(/pn=([^&]+)/);
-                if (nameMatch) name = decodeURIComponent(nameMatch[1]);
+            if (!intent) {
+                showToast('error', 'Invalid QR', 'This is not a UPI QR code');
+                return;
+            }
+            if (!intent.valid) {
+                showToast('error', 'Invalid QR', intent.errors[0]);
+                return;
             }
             
-            if (upiId) {
-                const upiInput = document.getElementById('upiId');
-                if (upiInput) upiInput.value = upiId;
-                
-                if (name) {
-                    const nameInput = document.getElementById('receiverName');
-                    if (nameInput) nameInput.value = name;
-                }
-                
-                showToast('success', 'QR Scanned!', 'UPI details extracted successfully');
-                this.stopScanning();
+            this.applyIntent(intent);
+            this.stopScanning();
+            
+            if (intent.warnings.length) {
+                showToast('warning', 'Merchant QR', intent.warnings[0]);
             } else {
-                showToast('error', 'Invalid QR', 'Could not extract UPI details');
+                showToast('success', 'QR Scanned!', 'UPI details extracted successfully');
             }
         } catch (error) {
             console.error('QR parsing error:', error);
@@ -674,10 +1312,51 @@ const QRScanner = {
         }
     },
 
+    applyIntent(intent) {
+        state.upiIntent = intent;
+        
+        document.querySelector('#receiveMethodDropdown .payment-option[data-method="upi"]')?.click();
+        const upiInput = document.getElementById('upiId');
+        if (upiInput) upiInput.value = intent.pa;
+        
+        const nameInput = document.getElementById('receiverName');
+        if (nameInput && intent.pn) nameInput.value = intent.pn;
+        
+        const noteInput = document.getElementById('paymentNote');
+        if (noteInput && intent.note) noteInput.value = intent.note;
+        
+        // UPI amounts are always INR, i.e. what the recipient receives
+        if (intent.amount && state.receiveCurrency === 'INR') {
+            state.receiveAmount = intent.amount;
+            const receiveAmountInput = document.getElementById('receiveAmount');
+            if (receiveAmountInput) receiveAmountInput.value = intent.amount.toFixed(2);
+            updateExchangeRate();
+        }
+        
+        const info = document.getElementById('upiQrInfo');
+        if (info) {
+            const parts = [
+                intent.isMerchant ? `🏪 Merchant${intent.mc ? ` (MCC ${intent.mc})` : ''}` : null,
+                intent.isSigned ? 'Signed QR' : null,
+                intent.amount ? `Amount ₹${intent.amount.toFixed(2)}` : null,
+                intent.tr ? `Ref ${intent.tr}` : null
+            ].filter(Boolean);
+            info.textContent = parts.join(' • ');
+            info.classList.toggle('hidden', !parts.length);
+            info.classList.toggle('upi-qr-info-merchant', intent.isMerchant);
+        }
+    },
+
+    clearIntent() {
+        state.upiIntent = null;
+        document.getElementById('upiQrInfo')?.classList.add('hidden');
+    },
+
     stopScanning() {
         const modal = document.getElementById('qrModal');
         const video = document.getElementById('qr-video');
         
+        clearTimeout(this.scanTimer);
         if (state.qrStream) {
             state.qrStream.getTracks().forEach(track => track.stop());
             state.qrStream = null;
@@ -688,69 +1367,729 @@ const QRScanner = {
 };
 
 // ============================================================================
-// API FUNCTIONS
+// SHARE MY RECEIVING QR
 // ============================================================================
-async function makeApiCall(endpoint, options = {}) {
-    try {
-        const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-            ...options,
-            headers: {
-                'Content-Type': 'application/json',
-                ...options.headers
-            }
-        });
+const ReceiveQR = {
+    intent: null,
 
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({ error: 'Request failed' }));
-            throw new Error(error.error || `HTTP ${response.status}`);
-        }
+    open() {
+        const modal = document.getElementById('shareQrModal');
+        if (!modal) return;
+        
+        modal.classList.add('active');
+        this.render();
+    },
 
-        return await response.json();
-    } catch (error) {
-        console.error(`API call failed: ${endpoint}`, error);
-        throw error;
-    }
-}
+    close() {
+        document.getElementById('shareQrModal')?.classList.remove('active');
+    },
 
-// ============================================================================
-// UPDATED: FETCH EXCHANGE RATES WITH ERROR HANDLING
-// ============================================================================
-async function fetchExchangeRates() {
-    try {
-        const data = await makeApiCall('/rates');
+    render() {
+        const image = document.getElementById('shareQrImage');
+        const status = document.getElementById('shareQrStatus');
+        const pa = document.getElementById('shareVpa')?.value.trim() || '';
+        const pn = document.getElementById('shareName')?.value.trim() || '';
+        const am = document.getElementById('shareAmount')?.value.trim() || '';
         
-        state.rateData = data;
-        state.exchangeRate = data.rates.horizonPayRate;
-        state.lastRateUpdate = new Date();
+        this.intent = null;
+        if (image) image.innerHTML = '';
         
-        if (!state.lockedRate) {
-            updateExchangeRate();
-            updateRateDisplay(data);
+        if (!validators.upiId(pa)) {
+            if (status) status.textContent = pa ? 'Enter a valid UPI ID' : 'Enter your UPI ID to generate a QR code';
+            return;
+        }
+        if (am && !(parseFloat(am) > 0)) {
+            if (status) status.textContent = 'Enter a valid amount or leave it empty';
+            return;
+        }
+        if (typeof qrcode === 'undefined') {
+            if (status) status.textContent = 'QR generator not available';
+            return;
         }
         
-        // ✅ Reset error states
-        updateNoticeBarError(false);
-        showFormContent(true);
-        
-    } catch (error) {
-        console.error('Failed to fetch rates:', error);
+        this.intent = UpiUri.build({ pa, pn, am });
+        const qr = qrcode(0, 'M');
+        qr.addData(this.intent);
+        qr.make();
+        if (image) image.innerHTML = qr.createSvgTag({ cellSize: 6, margin: 2, scalable: true });
+        if (status) status.textContent = am ? `Requesting ₹${parseFloat(am).toFixed(2)}` : 'Any amount';
+    },
+
+    // SVG -> PNG so it can be shared as an image file
+    async toBlob() {
+        const svg = document.querySelector('#shareQrImage svg');
+        if (!svg) return null;
         
-        // ✅ Show error in notice bar
-        updateNoticeBarError(true);
+        const url = URL.createObjectURL(new Blob([svg.outerHTML], { type: 'image/svg+xml' }));
+        try {
+            const img = new Image();
+            await new Promise((resolve, reject) => {
+                img.onload = resolve;
+                img.onerror = reject;
+                img.src = url;
+            });
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = 512;
+            const context = canvas.getContext('2d');
+            context.fillStyle = '#fff';
+            context.fillRect(0, 0, 512, 512);
+            context.drawImage(img, 0, 0, 512, 512);
+            return await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    },
+
+    async share() {
+        if (!this.intent) {
+            showToast('warning', 'No QR Code', 'Enter your UPI ID first');
+            return;
+        }
         
-        // ✅ Show error state in form if no cached rates
-        if (!state.rateData) {
-            showFormContent(false);
-            showToast('error', 'Connection Error', 'Unable to load exchange rates');
-        } else {
-            // ✅ Has cached rates, just show warning toast
-            showToast('warning', 'Rate Update Failed', 'Using cached exchange rate');
+        try {
+            const blob = await this.toBlob();
+            const file = blob && new File([blob], 'my-upi-qr.png', { type: 'image/png' });
+            const text = `Pay me via UPI: ${this.intent}`;
+            
+            if (file && navigator.canShare?.({ files: [file] })) {
+                await navigator.share({ files: [file], title: 'My UPI QR', text });
+            } else if (navigator.share) {
+                await navigator.share({ title: 'My UPI QR', text });
+            } else if (blob) {
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = 'my-upi-qr.png';
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+                showToast('success', 'QR Downloaded', 'Send the image to whoever is paying you');
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('QR share error:', error);
+            showToast('error', 'Share Failed', 'Could not share your QR code');
         }
+    },
+
+    init() {
+        document.getElementById('shareQrOpen')?.addEventListener('click', () => this.open());
+        document.getElementById('closeShareQr')?.addEventListener('click', () => this.close());
+        document.getElementById('shareQrModal')?.addEventListener('click', (e) => {
+            if (e.target.id === 'shareQrModal') this.close();
+        });
+        document.getElementById('shareQrBtn')?.addEventListener('click', () => this.share());
+        ['shareVpa', 'shareName', 'shareAmount'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => this.render());
+        });
     }
-}
+};
 
 // ============================================================================
-// NEW: TOGGLE FORM CONTENT / ERROR STATE
+// API CLIENT
+// ============================================================================
+class ApiError extends Error {
+    constructor(message, { status = 0, code = 'UNKNOWN_ERROR', requestId = null, endpoint = null, details = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.requestId = requestId;
+        this.endpoint = endpoint;
+        this.details = details;
+    }
+
+    // Network failures, timeouts, rate limiting and 5xx (incl. cold-start 502/503/504)
+    get retryable() {
+        return ['TIMEOUT', 'NETWORK_ERROR'].includes(this.code) || this.status === 429 || this.status >= 500;
+    }
+
+    get isColdStart() {
+        return ['TIMEOUT', 'NETWORK_ERROR'].includes(this.code) || [502, 503, 504].includes(this.status);
+    }
+}
+
+const ApiClient = {
+    generateRequestId() {
+        if (window.crypto?.randomUUID) return crypto.randomUUID();
+        return `req_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+    },
+
+    // Only idempotent GETs are retried; pass `retries: 0` to opt out.
+    // `signal` cancels the request (and any pending retry).
+    async request(endpoint, { method = 'GET', body, headers = {}, timeout, retries, signal } = {}) {
+        timeout = timeout ?? (method === 'GET' ? API_TIMEOUT : API_WRITE_TIMEOUT);
+        const requestId = this.generateRequestId();
+        const maxRetries = method === 'GET' ? (retries ?? API_RETRY.retries) : 0;
+        let attempt = 0;
+
+        while (true) {
+            try {
+                return await this.send(endpoint, { method, body, headers, timeout, signal, requestId });
+            } catch (error) {
+                if (error.code === 'ABORTED' || !error.retryable || attempt >= maxRetries) {
+                    console.error(`API call failed: ${endpoint} [${requestId}]`, error);
+                    throw error;
+                }
+
+                attempt++;
+                const delay = Math.min(API_RETRY.maxDelay, API_RETRY.baseDelay * 2 ** (attempt - 1));
+                console.warn(`⏳ Retrying ${endpoint} in ${delay}ms (attempt ${attempt}/${maxRetries}) [${requestId}]`);
+                await this.wait(delay, signal);
+            }
+        }
+    },
+
+    async send(endpoint, { method, body, headers, timeout, signal, requestId }) {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort);
+
+        try {
+            if (signal?.aborted) controller.abort();
+
+            const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+                method,
+                body: body === undefined ? undefined : JSON.stringify(body),
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Request-ID': requestId,
+                    ...headers
+                },
+                signal: controller.signal
+            });
+
+            const data = await response.json().catch(() => null);
+
+            if (!response.ok) {
+                throw new ApiError(data?.error || data?.message || `HTTP ${response.status}`, {
+                    status: response.status,
+                    code: data?.code || `HTTP_${response.status}`,
+                    requestId: response.headers.get('X-Request-ID') || requestId,
+                    endpoint,
+                    details: data
+                });
+            }
+
+            return data;
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+
+            if (error.name === 'AbortError') {
+                throw timedOut
+                    ? new ApiError(`Request timed out after ${timeout / 1000}s`, { code: 'TIMEOUT', requestId, endpoint })
+                    : new ApiError('Request cancelled', { code: 'ABORTED', requestId, endpoint });
+            }
+
+            throw new ApiError(error.message || 'Network error', { code: 'NETWORK_ERROR', requestId, endpoint });
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    },
+
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new ApiError('Request cancelled', { code: 'ABORTED' }));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    },
+
+    get(endpoint, options = {}) {
+        return this.request(endpoint, { ...options, method: 'GET' });
+    },
+
+    post(endpoint, body, options = {}) {
+        return this.request(endpoint, { ...options, method: 'POST', body });
+    }
+};
+
+// User-facing toast text for an API failure
+function describeApiError(error, fallbackTitle = 'Connection Error') {
+    if (error instanceof ApiError && error.isColdStart) {
+        return { title: 'Server Waking Up', message: 'Our server is starting up. Please try again in a few seconds.' };
+    }
+    return { title: fallbackTitle, message: error.message || 'Something went wrong' };
+}
+
+// ============================================================================
+// UPDATED: FETCH EXCHANGE RATES WITH ERROR HANDLING
+// ============================================================================
+// Retries can outlast RATE_REFRESH_INTERVAL, so overlapping calls share one request
+function fetchExchangeRates() {
+    if (!state.rateFetchPromise) {
+        state.rateFetchPromise = loadExchangeRates().finally(() => {
+            state.rateFetchPromise = null;
+        });
+    }
+    return state.rateFetchPromise;
+}
+
+async function loadExchangeRates() {
+    try {
+        const data = await ApiClient.get(state.corridor.ratesPath);
+        handleLiveRates(data);
+        
+    } catch (error) {
+        console.error('Failed to fetch rates:', error);
+        
+        // ✅ Show error in notice bar (cached rates keep the bar usable)
+        if (state.rateData) {
+            state.rateFromCache = true;
+            updateNoticeBarError(false);
+        } else {
+            updateNoticeBarError(true);
+        }
+        
+        // ✅ Show error state in form if no cached rates
+        if (!state.rateData) {
+            showFormContent(false);
+            const { title, message } = describeApiError(error);
+            showToast('error', title, error.isColdStart ? message : 'Unable to load exchange rates');
+        } else {
+            // ✅ Has cached rates, just show warning toast
+            showToast('warning', 'Rate Update Failed', `Using cached exchange rate (${formatRateAge(getRateAgeMs())} old)`);
+        }
+    } finally {
+        updateStalenessBadge();
+    }
+}
+
+// Fresh rates from /rates or the rate stream
+function handleLiveRates(data) {
+    const previousRate = state.rateData ? state.exchangeRate : null;
+    
+    applyRateData(data, new Date(), false);
+    RateCache.save(data);
+    RateHistory.record(state.exchangeRate);
+    RateAlert.check(previousRate, state.exchangeRate);
+    
+    // ✅ Reset error states
+    updateNoticeBarError(false);
+    showFormContent(true);
+    updateStalenessBadge();
+}
+
+function applyRateData(data, updatedAt, fromCache) {
+    state.rateData = data;
+    state.exchangeRate = data.rates.horizonPayRate;
+    state.lastRateUpdate = updatedAt;
+    state.rateFromCache = fromCache;
+    
+    if (!state.lockedRate) {
+        updateExchangeRate();
+        updateRateDisplay(data, updatedAt);
+    }
+}
+
+// ============================================================================
+// RATE FEED (SSE WITH POLLING FALLBACK)
+// ============================================================================
+const RateFeed = {
+    running: false,
+    streamErrors: 0,
+    streamRetryTimer: null,
+    // Set while a background tab has the stream closed; it reopens when the tab is visible again
+    streamPaused: false,
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        
+        if (window.EventSource) {
+            this.openStream();
+        } else {
+            this.startPolling();
+        }
+    },
+
+    // Called when the rate is locked; nothing should update it until start()
+    stop() {
+        this.running = false;
+        this.streamPaused = false;
+        this.closeStream();
+        this.stopPolling();
+        clearTimeout(this.streamRetryTimer);
+        this.streamRetryTimer = null;
+    },
+
+    openStream() {
+        this.closeStream();
+        this.streamErrors = 0;
+        
+        const source = new EventSource(`${API_BASE_URL}${state.corridor.streamPath}`);
+        state.rateStream = source;
+        
+        const onRates = (event) => {
+            try {
+                const data = JSON.parse(event.data);
+                if (!data?.rates?.horizonPayRate) return;
+                
+                this.streamErrors = 0;
+                // Stream is healthy again; polling is no longer needed
+                this.stopPolling();
+                handleLiveRates(data);
+            } catch (error) {
+                console.warn('Ignoring malformed rate event:', error);
+            }
+        };
+        
+        source.addEventListener('rates', onRates);
+        source.onmessage = onRates;
+        source.onopen = () => console.log('📡 Rate stream connected');
+        source.onerror = () => {
+            this.streamErrors++;
+            
+            // CLOSED means the browser gave up (404, wrong content type...)
+            if (source.readyState === EventSource.CLOSED || this.streamErrors >= RATE_STREAM_MAX_ERRORS) {
+                console.warn('⚠️ Rate stream unavailable, falling back to polling');
+                this.closeStream();
+                this.startPolling();
+                this.scheduleStreamRetry();
+            }
+        };
+    },
+
+    closeStream() {
+        if (state.rateStream) {
+            state.rateStream.close();
+            state.rateStream = null;
+        }
+    },
+
+    scheduleStreamRetry() {
+        clearTimeout(this.streamRetryTimer);
+        this.streamRetryTimer = setTimeout(() => {
+            if (!this.running || !window.EventSource) return;
+            
+            if (document.hidden) {
+                this.streamPaused = true;
+            } else {
+                this.openStream();
+            }
+        }, RATE_STREAM_RETRY_DELAY);
+    },
+
+    // Polling pauses in background tabs (see handleVisibilityChange)
+    startPolling() {
+        if (state.rateRefreshInterval) return;
+        
+        fetchExchangeRates();
+        state.rateRefreshInterval = setInterval(() => {
+            if (!document.hidden) fetchExchangeRates();
+        }, RATE_REFRESH_INTERVAL);
+    },
+
+    stopPolling() {
+        if (state.rateRefreshInterval) {
+            clearInterval(state.rateRefreshInterval);
+            state.rateRefreshInterval = null;
+        }
+    },
+
+    // Background tabs close the stream (polling just skips its ticks); when the tab
+    // comes back the stream is reopened and a stale rate is caught up straight away
+    handleVisibilityChange() {
+        if (!this.running) return;
+        
+        if (document.hidden) {
+            if (state.rateStream) {
+                this.closeStream();
+                this.streamPaused = true;
+            }
+            return;
+        }
+        
+        if (this.streamPaused) {
+            this.streamPaused = false;
+            this.openStream();
+        } else if (!state.rateRefreshInterval) {
+            return;
+        }
+        
+        if (getRateAgeMs() >= RATE_REFRESH_INTERVAL) fetchExchangeRates();
+    }
+};
+
+// ============================================================================
+// RATE HISTORY & SPARKLINE
+// ============================================================================
+const RateHistory = {
+    range: '24h',
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(corridorStorageKey(RATE_HISTORY_KEY))) || [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    // Points are [timestamp, rate]; a new reading in the same bucket replaces the last one
+    record(rate, at = Date.now()) {
+        if (!rate) return;
+        
+        const points = this.load().filter(([time]) => at - time <= RATE_HISTORY_MAX_AGE);
+        const last = points[points.length - 1];
+        
+        if (last && Math.floor(last[0] / RATE_HISTORY_BUCKET) === Math.floor(at / RATE_HISTORY_BUCKET)) {
+            points[points.length - 1] = [at, rate];
+        } else {
+            points.push([at, rate]);
+        }
+        
+        try {
+            localStorage.setItem(corridorStorageKey(RATE_HISTORY_KEY), JSON.stringify(points));
+        } catch (error) {
+            console.warn('Rate history write failed:', error);
+        }
+        this.render();
+    },
+
+    points(range = this.range) {
+        const since = Date.now() - RATE_HISTORY_RANGES[range];
+        return this.load().filter(([time]) => time >= since);
+    },
+
+    init() {
+        document.querySelectorAll('#rateHistory .rate-range').forEach(button => {
+            button.addEventListener('click', () => {
+                this.range = button.dataset.range;
+                document.querySelectorAll('#rateHistory .rate-range').forEach(b => b.classList.toggle('active', b === button));
+                this.render();
+            });
+        });
+        this.render();
+    },
+
+    render() {
+        const svg = document.getElementById('rateSparkline');
+        const stats = document.getElementById('rateHistoryStats');
+        if (!svg || !stats) return;
+        
+        const points = this.points();
+        if (points.length < 2) {
+            svg.innerHTML = '';
+            stats.textContent = 'Collecting rate history...';
+            return;
+        }
+        
+        const rates = points.map(([, rate]) => rate);
+        const min = Math.min(...rates);
+        const max = Math.max(...rates);
+        const start = points[0][0];
+        const span = Math.max(1, points[points.length - 1][0] - start);
+        const height = Math.max(max - min, 0.0001);
+        
+        const coords = points.map(([time, rate]) => {
+            const x = ((time - start) / span) * 200;
+            const y = 36 - ((rate - min) / height) * 32;
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+        
+        // The rate is what you pay per unit received, so falling is good for the sender
+        const first = rates[0];
+        const latest = rates[rates.length - 1];
+        const change = ((latest - first) / first) * 100;
+        const color = latest <= first ? '#00d4aa' : '#ff6b35';
+        
+        svg.innerHTML = `<polyline points="${coords}" fill="none" stroke="${color}" stroke-width="2" vector-effect="non-scaling-stroke" stroke-linejoin="round" stroke-linecap="round"/>`;
+        stats.textContent = `${this.range} low ${min.toFixed(2)} · high ${max.toFixed(2)} · ${change >= 0 ? '+' : ''}${change.toFixed(2)}%`;
+    }
+};
+
+// ============================================================================
+// TARGET RATE ALERT
+// ============================================================================
+const RateAlert = {
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(corridorStorageKey(RATE_ALERT_KEY)));
+        } catch (error) {
+            return null;
+        }
+    },
+
+    // Direction is implied: a target below the current rate waits for the rate to fall to it
+    set(target) {
+        const current = state.exchangeRate;
+        if (!(target > 0) || target === current) {
+            showToast('warning', 'Invalid Target', 'Enter a rate different from the current one');
+            return false;
+        }
+        
+        const alert = { target, direction: target < current ? 'below' : 'above', createdAt: Date.now() };
+        localStorage.setItem(corridorStorageKey(RATE_ALERT_KEY), JSON.stringify(alert));
+        
+        if (window.Notification && Notification.permission === 'default') {
+            Notification.requestPermission().catch(() => {});
+        }
+        
+        showToast('info', 'Rate Alert Set', `We'll let you know when the rate ${alert.direction === 'below' ? 'drops to' : 'rises to'} ${target.toFixed(2)}`);
+        this.render();
+        return true;
+    },
+
+    clear() {
+        localStorage.removeItem(corridorStorageKey(RATE_ALERT_KEY));
+        this.render();
+    },
+
+    // Fires once when a refresh crosses the target (or on the first reading if already past it)
+    check(previousRate, currentRate) {
+        const alert = this.load();
+        if (!alert || !currentRate) return;
+        
+        const reached = alert.direction === 'below' ? currentRate <= alert.target : currentRate >= alert.target;
+        const wasReached = previousRate !== null &&
+            (alert.direction === 'below' ? previousRate <= alert.target : previousRate >= alert.target);
+        
+        if (reached && !wasReached) this.fire(alert, currentRate);
+    },
+
+    fire(alert, rate) {
+        const message = `The rate is now ${rate.toFixed(2)} (your target: ${alert.target.toFixed(2)})`;
+        
+        showToast('success', '🎯 Rate Target Reached', message, 10000);
+        if (window.Notification && Notification.permission === 'granted') {
+            try {
+                new Notification('HorizonPay rate alert', { body: message, icon: '../assets/favicon.jpeg' });
+            } catch (error) {
+                console.warn('Notification failed:', error);
+            }
+        }
+        
+        this.clear();
+    },
+
+    init() {
+        const input = document.getElementById('rateAlertInput');
+        const button = document.getElementById('rateAlertBtn');
+        if (!input || !button) return;
+        
+        button.addEventListener('click', () => {
+            if (this.load()) {
+                this.clear();
+                return;
+            }
+            if (this.set(parseFloat(input.value))) input.value = '';
+        });
+        this.render();
+    },
+
+    render() {
+        const status = document.getElementById('rateAlertStatus');
+        const button = document.getElementById('rateAlertBtn');
+        const alert = this.load();
+        
+        if (status) {
+            status.textContent = alert
+                ? `🔔 Alert when rate ${alert.direction === 'below' ? '≤' : '≥'} ${alert.target.toFixed(2)}`
+                : '';
+        }
+        if (button) button.textContent = alert ? 'Cancel alert' : 'Set alert';
+    }
+};
+
+// ============================================================================
+// RATE CACHE (OFFLINE FALLBACK)
+// ============================================================================
+const RateCache = {
+    save(data) {
+        try {
+            localStorage.setItem(corridorStorageKey(RATE_CACHE_KEY), JSON.stringify({
+                data,
+                savedAt: Date.now(),
+                source: data.rates?.rateSource || 'Live Market'
+            }));
+        } catch (error) {
+            console.warn('Rate cache write failed:', error);
+        }
+    },
+
+    load() {
+        try {
+            const cached = JSON.parse(localStorage.getItem(corridorStorageKey(RATE_CACHE_KEY)));
+            if (!cached?.data?.rates?.horizonPayRate || !cached.savedAt) return null;
+            return cached;
+        } catch (error) {
+            return null;
+        }
+    }
+};
+
+// Shows the last good rate straight away, before the network answers
+function restoreCachedRates() {
+    const cached = RateCache.load();
+    if (!cached) return false;
+    
+    applyRateData(cached.data, new Date(cached.savedAt), true);
+    updateNoticeBarError(false);
+    showFormContent(true);
+    updateStalenessBadge();
+    console.log(`💾 Restored cached rate (${formatRateAge(getRateAgeMs())} old, ${cached.source})`);
+    return true;
+}
+
+function getRateAgeMs() {
+    return state.lastRateUpdate ? Date.now() - state.lastRateUpdate.getTime() : Infinity;
+}
+
+function isRateTooStale() {
+    return getRateAgeMs() > (state.corridor.rateStaleCutoff || RATE_STALE_CUTOFF);
+}
+
+function formatRateAge(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return 'less than a minute';
+    if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+    return `${Math.floor(hours / 24)} days`;
+}
+
+function rateLabel() {
+    if (state.lockedRate) return '🔒 Locked Rate';
+    return state.rateFromCache ? 'Cached Rate' : 'Live Rate';
+}
+
+// "Rate is N minutes old" pill next to the rate badge, shown while on a cached rate
+function updateStalenessBadge() {
+    const rateBadge = document.querySelector('.notice-bar .rate-badge');
+    if (!rateBadge) return;
+    
+    let badge = document.getElementById('rateStalenessBadge');
+    
+    if (!state.rateFromCache || !state.rateData || state.lockedRate) {
+        badge?.remove();
+        return;
+    }
+    
+    if (!badge) {
+        badge = document.createElement('span');
+        badge.id = 'rateStalenessBadge';
+        rateBadge.insertAdjacentElement('afterend', badge);
+    }
+    
+    const tooStale = isRateTooStale();
+    badge.style.cssText = `margin-left: 8px; padding: 2px 8px; border-radius: 999px; font-size: 11px; font-weight: 700; color: #fff; background: ${tooStale ? '#ef4444' : 'rgba(255, 255, 255, 0.2)'};`;
+    badge.textContent = tooStale
+        ? `⚠️ Rate is ${formatRateAge(getRateAgeMs())} old – refresh needed`
+        : `⏱ Rate is ${formatRateAge(getRateAgeMs())} old`;
+}
+
+// ============================================================================
+// NEW: TOGGLE FORM CONTENT / ERROR STATE
 // ============================================================================
 function showFormContent(show) {
     const formContent = document.getElementById('formContent');
@@ -828,7 +2167,7 @@ function updateNoticeBarError(hasError) {
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5">
                 <path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z"/>
             </svg>
-            ${state.lockedRate ? '🔒 Locked Rate' : 'Live Rate'}: 1 ${state.receiveCurrency} = ${rate.toFixed(2)} ${state.sendCurrency}
+            ${rateLabel()}: 1 ${state.receiveCurrency} = ${rate.toFixed(2)} ${state.sendCurrency}
         `;
     }
 }
@@ -838,6 +2177,10 @@ function updateNoticeBarError(hasError) {
 
 async function createConversion() {
     try {
+        if (isRateTooStale()) {
+            throw new Error('Exchange rate is out of date. Please wait for a fresh rate.');
+        }
+        
         let email;
         if (state.isAuthenticated) {
             email = state.userEmail;
@@ -872,10 +2215,22 @@ async function createConversion() {
                 throw new Error('Invalid receiver name');
             }
             
+            const note = document.getElementById('paymentNote')?.value.trim();
+            const intent = state.upiIntent?.pa === upiId ? state.upiIntent : null;
+            
             receiverDetails = {
                 receiveMethod: 'UPI',
                 upiId: upiId,
-                receiverName: receiverName
+                receiverName: receiverName,
+                note: note || null,
+                // Merchant QRs carry references the payout has to echo back
+                upiIntent: intent ? {
+                    merchant: intent.isMerchant,
+                    signed: intent.isSigned,
+                    mc: intent.mc || null,
+                    tr: intent.tr || null,
+                    tid: intent.tid || null
+                } : null
             };
         } else {
             const accountInput = document.getElementById('accountNumber');
@@ -900,18 +2255,24 @@ async function createConversion() {
                 throw new Error('Invalid account holder name');
             }
             
+            const bank = await IfscResolver.resolve(ifscCode);
+            if (!bank.valid) {
+                throw new Error(bank.reason);
+            }
+            
             receiverDetails = {
                 receiveMethod: 'Bank Transfer',
                 accountNumber: accountNumber,
                 ifscCode: ifscCode.toUpperCase(),
-                accountName: receiverName
+                accountName: receiverName,
+                bankDetails: bank.details
             };
         }
 
+        // Confirms the registered name with the user if it doesn't match; throws if they back out
+        receiverDetails.verification = await RecipientVerification.confirm(receiverDetails, receiverName);
         state.paymentDetails = receiverDetails;
 
-        showLoading(true, 'Creating transaction session...');
-
         const conversionData = {
             amount: state.sendAmount,
             from: state.sendCurrency,
@@ -923,34 +2284,199 @@ async function createConversion() {
     accountNumber: receiverDetails.accountNumber || null,
     ifscCode: receiverDetails.ifscCode || null,
     accountName: receiverDetails.accountName || null,
-    receiverName: receiverDetails.receiverName || null
+    bankDetails: receiverDetails.bankDetails || null,
+    receiverName: receiverDetails.receiverName || null,
+    note: receiverDetails.note || null,
+    upiIntent: receiverDetails.upiIntent || null,
+    recipientVerification: receiverDetails.verification || null,
+            promoCode: state.promotion?.code || null,
+            quote: Quotes.toPayload(Quotes.current())
         };
 
-        const data = await makeApiCall('/convert', {
-            method: 'POST',
-            body: JSON.stringify(conversionData)
-        });
-
-        state.sessionId = data.sessionId;
-        state.lockedRate = state.exchangeRate;
-        state.lockedRateData = { ...state.rateData };
-        
-        if (state.rateRefreshInterval) {
-            clearInterval(state.rateRefreshInterval);
-            state.rateRefreshInterval = null;
-            console.log('🔒 Rate locked at:', state.lockedRate);
-        }
-
-        console.log('✅ Conversion created:', data);
-        return data;
+        state.conversionRequest = conversionData;
+        return await submitConversion(conversionData);
 
     } catch (error) {
         console.error('Conversion failed:', error);
         throw error;
+    }
+}
+
+// Posts a conversion and takes the rate lock from the response.
+// Also used to re-quote an expired session with the same details.
+async function submitConversion(conversionData) {
+    try {
+        showLoading(true, 'Creating transaction session...');
+
+        const data = await ApiClient.post('/convert', conversionData);
+        RateLock.apply(data);
+        ActiveSession.save(data);
+        TransactionHistory.recordConversion(data);
+        Beneficiaries.markUsed(state.paymentDetails);
+        
+        RateFeed.stop();
+        console.log('🔒 Rate locked at:', state.lockedRate, 'until', new Date(state.rateLockExpiresAt).toISOString());
+
+        console.log('✅ Conversion created:', data);
+        return data;
     } finally {
         showLoading(false);
     }
 }
+
+// ============================================================================
+// RATE LOCK
+// ============================================================================
+const RateLock = {
+    // Reads { rateLock: { rate, expiresAt | ttlSeconds } } (or the flat
+    // lockedRate / lockExpiresAt fields). Absolute expiries are shifted by the
+    // client/server clock difference when the response carries serverTime.
+    parse(data) {
+        const lock = data.rateLock || {};
+        const rate = Number(lock.rate ?? data.lockedRate);
+        const expiry = lock.expiresAt ?? data.lockExpiresAt ?? data.expiresAt;
+        const ttl = Number(lock.ttlSeconds ?? data.lockTtlSeconds);
+        
+        let expiresAt = expiry != null ? new Date(expiry).getTime() : NaN;
+        if (Number.isFinite(expiresAt) && data.serverTime) {
+            const skew = Date.now() - new Date(data.serverTime).getTime();
+            if (Number.isFinite(skew)) expiresAt += skew;
+        }
+        if (!Number.isFinite(expiresAt) && Number.isFinite(ttl)) {
+            expiresAt = Date.now() + ttl * 1000;
+        }
+        if (!Number.isFinite(expiresAt)) {
+            console.warn('⚠️ /convert returned no rate-lock expiry, using local fallback');
+            expiresAt = Date.now() + RATE_LOCK_FALLBACK;
+        }
+        
+        return { rate: rate > 0 ? rate : state.exchangeRate, expiresAt };
+    },
+
+    apply(data) {
+        const { rate, expiresAt } = this.parse(data);
+        // The server's fee and total are what step 2 shows and Paystack charges,
+        // so a session without a total can't be paid
+        const quote = Quotes.fromConversion(data, rate);
+        if (quote.total == null) {
+            throw new ApiError('The quote came back without a total. Please try again.', {
+                code: 'QUOTE_INCOMPLETE',
+                endpoint: '/convert',
+                details: data
+            });
+        }
+        
+        state.sessionId = data.sessionId;
+        state.lockedRate = rate;
+        state.lockedRateData = { ...state.rateData };
+        state.rateLockExpiresAt = expiresAt;
+        // The step 1 inputs keep their own amounts for "Back to Edit"
+        state.quote = quote;
+        
+        const preview = Quotes.quote({ sendAmount: quote.sendAmount, rate });
+        if (preview.total !== quote.total) {
+            console.warn('⚠️ /convert quote differs from the preview:', preview.total, '->', quote.total);
+            showToast('info', 'Quote Updated', `You'll pay ${formatSendAmount(quote.total, true)} rather than the ${formatSendAmount(preview.total, true)} shown earlier.`);
+        }
+    },
+
+    remainingMs() {
+        return state.rateLockExpiresAt ? Math.max(0, state.rateLockExpiresAt - Date.now()) : 0;
+    },
+
+    isExpired() {
+        return this.remainingMs() <= 0;
+    },
+
+    // The server rejects payment on an expired lock even if our clock disagrees
+    isExpiredError(error) {
+        return error instanceof ApiError && (error.code === 'RATE_LOCK_EXPIRED' || error.status === 410);
+    },
+
+    showExpired() {
+        if (state.countdownInterval) clearInterval(state.countdownInterval);
+        state.rateLockExpiresAt = null;
+        
+        safeSetText('countdownTimer', '00:00');
+        safeSetText('countdownLabel', 'Rate lock expired');
+        
+        const payBtn = document.getElementById('payBtn');
+        if (payBtn) payBtn.disabled = true;
+        
+        safeSetText('rateRequoteText', `Your locked rate of ${formatRatePerUnit(state.lockedRate)} has expired. Get a new quote to continue.`);
+        document.getElementById('rateRequoteCompare')?.classList.add('hidden');
+        
+        const requoteBtn = document.getElementById('requoteBtn');
+        if (requoteBtn) {
+            requoteBtn.disabled = false;
+            requoteBtn.classList.remove('hidden');
+        }
+        document.getElementById('rateRequote')?.classList.remove('hidden');
+        
+        showToast('warning', 'Rate Lock Expired', 'Get a new quote to continue with this transfer.');
+    },
+
+    async requote() {
+        const requoteBtn = document.getElementById('requoteBtn');
+        const oldRate = state.lockedRate;
+        
+        try {
+            if (!state.conversionRequest) throw new Error('No transfer to re-quote');
+            if (requoteBtn) requoteBtn.disabled = true;
+            
+            // Fetching rates re-runs the calculator, which works the send amount
+            // back from the receive amount; the re-quote is for the same send amount
+            const { amount } = state.conversionRequest;
+            state.lockedRate = null;
+            await fetchExchangeRates();
+            const preview = Quotes.quote({ sendAmount: amount, rate: state.exchangeRate });
+            applyQuotePreview(preview);
+            const sendAmountInput = document.getElementById('sendAmount');
+            if (sendAmountInput) sendAmountInput.value = preview.sendAmount.toFixed(2);
+            const receiveAmountInput = document.getElementById('receiveAmount');
+            if (receiveAmountInput) receiveAmountInput.value = preview.receiveAmount.toFixed(2);
+            
+            if (isRateTooStale()) {
+                throw new Error('Could not get a fresh exchange rate. Please try again.');
+            }
+            
+            state.conversionRequest = { ...state.conversionRequest, amount: preview.sendAmount, quote: Quotes.toPayload(preview) };
+            const data = await submitConversion(state.conversionRequest);
+            renderConversionSummary(data);
+            this.renderComparison(oldRate, state.lockedRate);
+            
+            safeSetText('countdownLabel', 'Rate locked for');
+            const payBtn = document.getElementById('payBtn');
+            if (payBtn) payBtn.disabled = false;
+            startCountdown();
+            
+            showToast('success', 'New Rate Locked', `${formatRatePerUnit(state.lockedRate)} for ${Math.ceil(this.remainingMs() / 60000)} minutes`);
+        } catch (error) {
+            state.lockedRate = state.lockedRate || oldRate;
+            if (requoteBtn) requoteBtn.disabled = false;
+            const { title, message } = describeApiError(error, 'Re-quote Failed');
+            showToast('error', title, message);
+        }
+    },
+
+    renderComparison(oldRate, newRate) {
+        const direction = newRate > oldRate ? 'higher' : newRate < oldRate ? 'lower' : 'unchanged';
+        safeSetText('rateRequoteText', `New quote locked. The rate is ${direction} than your previous quote.`);
+        safeSetText('rateRequoteOld', formatRatePerUnit(oldRate));
+        safeSetText('rateRequoteNew', formatRatePerUnit(newRate));
+        document.getElementById('rateRequoteCompare')?.classList.remove('hidden');
+        document.getElementById('requoteBtn')?.classList.add('hidden');
+    },
+
+    reset() {
+        state.rateLockExpiresAt = null;
+        safeSetText('countdownLabel', 'Rate locked for');
+        document.getElementById('rateRequote')?.classList.add('hidden');
+        const payBtn = document.getElementById('payBtn');
+        if (payBtn) payBtn.disabled = false;
+    }
+};
+
 async function initializePayment(sessionId) {
     try {
         showLoading(true, 'Initializing payment gateway...');
@@ -962,11 +2488,10 @@ async function initializePayment(sessionId) {
             userDetails: state.paymentDetails
         };
 
-        const data = await makeApiCall('/payment/initialize', {
-            method: 'POST',
-            body: JSON.stringify(paymentRequest)
-        });
+        const data = await ApiClient.post('/payment/initialize', paymentRequest);
 
+        // Once a reference exists the transfer may be paid, so history never expires it
+        TransactionHistory.record(sessionId, { reference: data?.payment?.reference || null });
         console.log('✅ Payment initialized:', data);
         return data;
 
@@ -976,198 +2501,987 @@ async function initializePayment(sessionId) {
     } finally {
         showLoading(false);
     }
-}
+}
+// ============================================================================
+// UPDATED: INITIALIZATION
+// ============================================================================
+
+
+function openPaystackPayment(paymentData) {
+    try {
+        if (!window.PaystackPop) {
+            throw new Error('Paystack library not loaded');
+        }
+
+        const handler = PaystackPop.setup({
+            key: PAYSTACK_PUBLIC_KEY,
+            email: state.userEmail || document.getElementById('email')?.value.trim(),
+            amount: Math.round(state.quote.total * state.corridor.gateway.subunit),
+            currency: state.corridor.gateway.currency,
+            ref: paymentData.payment.reference,
+            metadata: {
+                sessionId: state.sessionId,
+                lockedRate: state.lockedRate,
+                quote: Quotes.toPayload(state.quote),
+                custom_fields: [
+                    {
+                        display_name: "Exchange Rate",
+                        variable_name: "exchange_rate",
+                        value: formatRatePerUnit(state.lockedRate)
+                    }
+                ]
+            },
+            // ✅ FIX: Remove 'async' keyword here
+            callback: function(response) {
+                console.log('✅ Paystack payment successful:', response);
+                ActiveSession.update({ stage: 'verifying', paymentReference: response.reference });
+                TransactionHistory.record(state.sessionId, { reference: response.reference });
+                showToast('success', 'Payment Received', 'Verifying with backend...');
+                
+                // ✅ Call async verification (wrap in IIFE or separate function)
+                (async () => {
+                    try {
+                        const verifyData = await ApiClient.post('/payment/verify-manual', {
+                            reference: response.reference,
+                            sessionId: state.sessionId
+                        });
+                        
+                        if (verifyData.success && verifyData.status === 'completed') {
+                            console.log('✅ Backend verification successful:', verifyData);
+                            showPaymentSuccess(verifyData);
+                        } else {
+                            throw new Error(verifyData.error || 'Verification failed');
+                        }
+                        
+                    } catch (error) {
+                        console.error('❌ Backend verification failed:', error);
+                        showToast('warning', 'Verification Delayed', 'Checking status...');
+                        pollPaymentStatus(state.sessionId, response.reference);
+                    }
+                })();
+            },
+            
+            onClose: function() {
+                console.log('⚠️ Payment window closed');
+                showToast('warning', 'Payment Cancelled', 'You closed the payment window');
+            }
+        });
+        
+        ActiveSession.update({ stage: 'paying', paymentReference: paymentData.payment.reference });
+        handler.openIframe();
+    } catch (error) {
+        console.error('Payment popup error:', error);
+        showToast('error', 'Payment Error', error.message);
+    }
+}
+
+
+async function pollPaymentStatus(sessionId, paymentReference = null, maxAttempts = 30, onTimeout = null) {
+    let attempts = 0;
+    
+    const checkStatus = async () => {
+        try {
+            // The poll itself is the retry loop
+            const data = await ApiClient.get(`/payment/status/${sessionId}`, { retries: 0 });
+            
+            if (data.status === 'completed') {
+                clearInterval(statusInterval);
+                showPaymentSuccess(data);
+                return;
+            } else if (data.status === 'failed') {
+                clearInterval(statusInterval);
+                showPaymentFailure(data);
+                return;
+            }
+            
+            attempts++;
+            if (attempts >= maxAttempts) {
+                clearInterval(statusInterval);
+                if (onTimeout) {
+                    onTimeout();
+                } else {
+                    showToast('error', 'Verification Timeout', 'Please contact support with your reference');
+                }
+            }
+        } catch (error) {
+            console.error('Status check error:', error);
+            attempts++;
+            if (attempts >= maxAttempts) {
+                clearInterval(statusInterval);
+            }
+        }
+    };
+    
+    const statusInterval = setInterval(checkStatus, 2000);
+    checkStatus();
+}
+
+// ============================================================================
+// QUOTES (FEES, FX MARGIN, PROMOTIONS)
+// ============================================================================
+// The maths live in quote-engine.js; this binds them to the current corridor
+// and promo. quote() previews the live calculator. Once /convert answers, its
+// quote (fromConversion) is what step 2 shows and Paystack charges.
+const Quotes = {
+    quote(args) {
+        return QuoteEngine.quote({ corridor: state.corridor, promotion: state.promotion, ...args });
+    },
+
+    // Quote for whatever the user is currently looking at
+    current() {
+        return this.quote({ sendAmount: state.sendAmount, rate: state.lockedRate || state.exchangeRate });
+    },
+
+    fromConversion(data, rate = state.lockedRate) {
+        return QuoteEngine.fromConversion(data, { corridor: state.corridor, rate, sendAmount: state.sendAmount });
+    },
+
+    feeLabel(quote) {
+        const parts = [];
+        if (quote.feePercent) parts.push(`${quote.feePercent}%`);
+        if (quote.feeFixed) parts.push(formatSendAmount(quote.feeFixed));
+        return parts.length ? `FX Fee (${parts.join(' + ')})` : 'FX Fee';
+    },
+
+    toPayload(quote) {
+        return QuoteEngine.toPayload(quote);
+    }
+};
+
+function applyQuotePreview(quote) {
+    state.quotePreview = quote;
+    state.sendAmount = quote.sendAmount;
+    state.receiveAmount = quote.receiveAmount;
+}
+
+function renderQuoteBreakdown(quote) {
+    const { sendCurrency } = quote;
+    safeSetText('quoteFeeLabel', Quotes.feeLabel(quote));
+    safeSetText('quoteFee', `${sendCurrency} ${quote.fee.toFixed(2)}`);
+    safeSetText('quoteDiscount', `-${sendCurrency} ${quote.discount.toFixed(2)}`);
+    safeSetText('quoteDiscountLabel', quote.promoCode ? `Promo (${quote.promoCode})` : 'Promo');
+    safeSetText('quoteTotal', `${sendCurrency} ${quote.total.toFixed(2)}`);
+    document.getElementById('quoteDiscountRow')?.classList.toggle('hidden', !quote.discount);
+    document.getElementById('quoteMarginRow')?.classList.toggle('hidden', !quote.fxMarginAmount);
+    safeSetText('quoteMargin', `${sendCurrency} ${quote.fxMarginAmount.toFixed(2)}`);
+}
+
+// GET /promos/{code}?corridor= returns { code, description, feeDiscountPercent,
+// amountOff, maxDiscount, minSend, corridors, expiresAt }; 404 or valid: false
+// means no such code. The discount shown here is a preview; /convert re-checks
+// promoCode and its quote decides what is charged.
+const Promotions = {
+    async lookup(code) {
+        try {
+            const promotion = await ApiClient.get(`/promos/${encodeURIComponent(code)}?corridor=${encodeURIComponent(state.corridor.id)}`, { retries: 1 });
+            return promotion?.valid === false ? null : { ...promotion, code: promotion.code || code };
+        } catch (error) {
+            if (error instanceof ApiError && error.status === 404) return null;
+            throw error;
+        }
+    },
+
+    renderStatus(type, message) {
+        const status = document.getElementById('promoStatus');
+        if (!status) return;
+        status.className = `promo-status ${type}`;
+        status.textContent = message;
+        status.classList.toggle('hidden', !message);
+    },
+
+    // Re-checked on every quote: a promo can stop applying as the amount changes
+    refreshStatus(quote) {
+        const promotion = state.promotion;
+        if (!promotion) return;
+        this.renderStatus(quote.discount ? 'success' : 'warning', quote.discount
+            ? (promotion.description || `${promotion.code} applied`)
+            : `${promotion.code} doesn't apply to this amount`);
+    },
+
+    async apply() {
+        const input = document.getElementById('promoCode');
+        const applyBtn = document.getElementById('promoApplyBtn');
+        const code = input?.value.trim().toUpperCase();
+        
+        if (!code) {
+            this.clear();
+            return;
+        }
+        
+        try {
+            if (applyBtn) applyBtn.disabled = true;
+            const promotion = await this.lookup(code);
+            if (!promotion) {
+                state.promotion = null;
+                this.renderStatus('error', `${code} is not a valid promo code`);
+            } else {
+                state.promotion = promotion;
+            }
+            updateExchangeRate();
+        } catch (error) {
+            const { title, message } = describeApiError(error, 'Promo Check Failed');
+            showToast('error', title, message);
+        } finally {
+            if (applyBtn) applyBtn.disabled = false;
+        }
+    },
+
+    clear() {
+        state.promotion = null;
+        const input = document.getElementById('promoCode');
+        if (input) input.value = '';
+        this.renderStatus('', '');
+        updateExchangeRate();
+    },
+
+    init() {
+        document.getElementById('promoApplyBtn')?.addEventListener('click', () => this.apply());
+        document.getElementById('promoCode')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.apply();
+            }
+        });
+    }
+};
+
+// ============================================================================
+// UI UPDATE FUNCTIONS
+// ============================================================================
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+function safeSetText(elementId, text) {
+    const element = document.getElementById(elementId);
+    if (element) {
+        element.textContent = text;
+    }
+}
+
+function updateExchangeRate() {
+    const rate = state.lockedRate || state.exchangeRate;
+    
+    const { send, receive } = state.corridor;
+    safeSetText('exchangeRate', `1 ${receive.symbol} = ${send.symbol}${rate.toFixed(2)}`);
+    
+    const noticeBar = document.querySelector('.notice-bar .rate-badge');
+    if (noticeBar) {
+        const svg = noticeBar.querySelector('svg')?.outerHTML || '';
+        noticeBar.innerHTML = `${svg} ${rateLabel()}: 1 ${receive.symbol} = ${send.symbol}${rate.toFixed(2)}`;
+    }
+    
+    const sendAmountInput = document.getElementById('sendAmount');
+    const receiveAmountInput = document.getElementById('receiveAmount');
+    
+    let quote;
+    if (sendAmountInput && document.activeElement === sendAmountInput) {
+        quote = Quotes.quote({ sendAmount: state.sendAmount, rate });
+        if (receiveAmountInput) {
+            receiveAmountInput.value = quote.receiveAmount.toFixed(2);
+        }
+    } else {
+        quote = Quotes.quote({ receiveAmount: state.receiveAmount, rate });
+        if (sendAmountInput) {
+            sendAmountInput.value = quote.sendAmount.toFixed(2);
+        }
+    }
+    
+    applyQuotePreview(quote);
+    renderQuoteBreakdown(quote);
+    Promotions.refreshStatus(quote);
+}
+
+function updateRateDisplay(data, updatedAt = new Date()) {
+    const existingInfo = document.querySelector('.rate-info');
+    if (existingInfo) existingInfo.remove();
+    
+    const rateInfo = document.createElement('div');
+    rateInfo.className = 'rate-info';
+    rateInfo.style.cssText = 'margin-top: 10px; font-size: 12px; color: #10b981;';
+    rateInfo.innerHTML = `<small>✓ Rate Updated: ${updatedAt.toLocaleTimeString()} | Source: ${data.rates.rateSource || 'Live Market'}</small>`;
+    
+    const exchangeDisplay = document.querySelector('.exchange-display');
+    if (exchangeDisplay?.parentElement) {
+        exchangeDisplay.parentElement.insertBefore(rateInfo, exchangeDisplay.nextSibling);
+    }
+}
+
+function showLoading(show, message = 'Processing...') {
+    let loader = document.getElementById('loadingOverlay');
+    
+    if (show && !loader) {
+        loader = document.createElement('div');
+        loader.id = 'loadingOverlay';
+        loader.innerHTML = `
+            <div style="position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.7); display: flex; align-items: center; justify-content: center; z-index: 10000;">
+                <div style="background: white; padding: 30px; border-radius: 10px; text-align: center;">
+                    <div style="border: 4px solid #f3f3f3; border-top: 4px solid #6b4ef6; border-radius: 50%; width: 40px; height: 40px; animation: spin 1s linear infinite; margin: 0 auto 20px;"></div>
+                    <p style="margin: 0; font-weight: 600; color: #1a1a1a;">${message}</p>
+                </div>
+            </div>
+            <style>@keyframes spin { 0% { transform: rotate(0deg); } 100% { transform: rotate(360deg); } }</style>
+        `;
+        document.body.appendChild(loader);
+    } else if (!show && loader) {
+        loader.remove();
+    }
+}
+
+// ============================================================================
+// ACTIVE SESSION (RESUME AFTER RELOAD)
+// ============================================================================
+// Stages: 'quoted' (step 2 shown), 'paying' (Paystack opened),
+// 'verifying' (Paystack reported success, backend not yet confirmed)
+const ActiveSession = {
+    save(conversionData) {
+        this.write({
+            stage: 'quoted',
+            sessionId: state.sessionId,
+            corridorId: state.corridor.id,
+            sendAmount: state.sendAmount,
+            receiveAmount: state.receiveAmount,
+            receiveMethod: state.receiveMethod,
+            lockedRate: state.lockedRate,
+            lockedRateData: state.lockedRateData,
+            rateLockExpiresAt: state.rateLockExpiresAt,
+            quote: state.quote,
+            promotion: state.promotion,
+            paymentDetails: state.paymentDetails,
+            conversionRequest: state.conversionRequest,
+            conversionData,
+            paymentReference: null,
+            savedAt: Date.now()
+        });
+    },
+
+    update(changes) {
+        const session = this.load();
+        if (session) this.write({ ...session, ...changes });
+    },
+
+    write(session) {
+        try {
+            sessionStorage.setItem(ACTIVE_SESSION_KEY, JSON.stringify(session));
+        } catch (error) {
+            console.warn('⚠️ Could not persist session:', error);
+        }
+    },
+
+    load() {
+        try {
+            const session = JSON.parse(sessionStorage.getItem(ACTIVE_SESSION_KEY));
+            return session?.sessionId ? session : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    clear() {
+        sessionStorage.removeItem(ACTIVE_SESSION_KEY);
+    },
+
+    restoreState(session) {
+        if (session.corridorId !== state.corridor.id) {
+            setCorridor(session.corridorId, { refreshRates: false });
+        }
+        document.querySelector(`#receiveMethodDropdown .payment-option[data-method="${session.receiveMethod}"]`)?.click();
+        
+        state.sessionId = session.sessionId;
+        state.sendAmount = session.sendAmount;
+        state.receiveAmount = session.receiveAmount;
+        state.lockedRate = session.lockedRate;
+        state.lockedRateData = session.lockedRateData;
+        state.rateLockExpiresAt = session.rateLockExpiresAt;
+        state.promotion = session.promotion || null;
+        state.quote = session.quote || Quotes.fromConversion(session.conversionData || {}, session.lockedRate);
+        state.paymentDetails = session.paymentDetails;
+        state.conversionRequest = session.conversionRequest;
+        
+        const sendAmountInput = document.getElementById('sendAmount');
+        if (sendAmountInput) sendAmountInput.value = session.sendAmount;
+        const receiveAmountInput = document.getElementById('receiveAmount');
+        if (receiveAmountInput) receiveAmountInput.value = session.receiveAmount.toFixed(2);
+        
+        // Refill step 1 so "Back to Edit" shows the same recipient
+        ['upiId', 'receiverName', 'accountNumber', 'ifscCode', 'accountName'].forEach(field => {
+            const input = document.getElementById(field);
+            if (input && session.paymentDetails?.[field]) input.value = session.paymentDetails[field];
+        });
+        
+        // Guests need their email back for payment initialization
+        const emailInput = document.getElementById('email');
+        if (emailInput && !emailInput.value && session.conversionRequest?.email) {
+            emailInput.value = session.conversionRequest.email;
+        }
+    },
+
+    showSummaryStep() {
+        document.getElementById('step1')?.classList.add('hidden');
+        document.getElementById('step2')?.classList.remove('hidden');
+        document.getElementById('progress2')?.classList.add('active');
+        renderConversionSummary(this.load()?.conversionData || {});
+    },
+
+    // Called once on load. Returns true if a session was picked back up.
+    async resume() {
+        const session = this.load();
+        if (!session) return false;
+        
+        console.log('🔄 Resuming session:', session.sessionId, `(${session.stage})`);
+        
+        // The backend decides whether this session already settled
+        let status = null;
+        try {
+            status = await ApiClient.get(`/payment/status/${session.sessionId}`, { retries: 1 });
+        } catch (error) {
+            console.warn('⚠️ Could not check session status, restoring locally:', error);
+        }
+        
+        if (status?.status === 'failed') {
+            this.clear();
+            showToast('error', 'Payment Failed', status.error || 'Your previous transaction could not be completed');
+            return false;
+        }
+        
+        this.restoreState(session);
+        RateFeed.stop();
+        this.showSummaryStep();
+        
+        if (status?.status === 'completed') {
+            showPaymentSuccess(status);
+            return true;
+        }
+        
+        if (session.stage === 'verifying') {
+            showToast('info', 'Resuming Payment', 'Checking the status of your payment...');
+            pollPaymentStatus(session.sessionId, session.paymentReference);
+            return true;
+        }
+        
+        if (RateLock.isExpired()) {
+            RateLock.showExpired();
+        } else {
+            startCountdown();
+            showToast('info', 'Session Restored', `Your rate is locked for another ${formatRateAge(RateLock.remainingMs())}`);
+        }
+        
+        // The popup may have gone down after the charge; a few quiet checks catch that
+        if (session.stage === 'paying') {
+            pollPaymentStatus(session.sessionId, session.paymentReference, 5, () => {});
+        }
+        return true;
+    }
+};
+
+// ============================================================================
+// TRANSACTION HISTORY (SIGNED-IN USERS)
+// ============================================================================
+const TransactionHistory = {
+    entries: [],
+    detailTimer: null,
+    detailSessionId: null,
+    hiddenViews: [],
+
+    ref(sessionId = '') {
+        if (!db || !state.user) return null;
+        return db.ref(`transactions/${state.user.uid}${sessionId ? `/${sessionId}` : ''}`);
+    },
+
+    // History is best-effort: a failed write never blocks the transfer itself
+    record(sessionId, fields) {
+        const ref = sessionId && this.ref(sessionId);
+        if (!ref) return;
+        ref.update({ ...fields, updatedAt: Date.now() })
+            .catch(error => console.warn('⚠️ Could not save transaction history:', error));
+    },
+
+    recordConversion(conversionData) {
+        const details = state.paymentDetails || {};
+        this.record(state.sessionId, {
+            sessionId: state.sessionId,
+            createdAt: Date.now(),
+            corridor: state.corridor.id,
+            sendAmount: state.sendAmount,
+            sendCurrency: state.sendCurrency,
+            receiveAmount: state.quote?.receiveAmount ?? state.receiveAmount,
+            receiveCurrency: state.receiveCurrency,
+            rate: state.lockedRate,
+            fee: state.quote?.fee ?? null,
+            discount: state.quote?.discount ?? null,
+            promoCode: state.quote?.promoCode || null,
+            total: state.quote?.total ?? null,
+            receiveMethod: details.receiveMethod || null,
+            recipient: details.receiverName || details.accountName || null,
+            recipientAccount: details.upiId || details.accountNumber || null,
+            ifscCode: details.ifscCode || null,
+            offer: conversionData.horizonPayOffer || null,
+            status: 'pending',
+            reference: null
+        });
+    },
+
+    async load() {
+        const ref = this.ref();
+        if (!ref) return [];
+        
+        const snapshot = await ref.orderByChild('createdAt').limitToLast(HISTORY_LIMIT).once('value');
+        const entries = Object.values(snapshot.val() || {});
+        this.entries = entries.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+        return this.entries;
+    },
+
+    filtered() {
+        const status = document.getElementById('historyStatusFilter')?.value || 'all';
+        const range = document.getElementById('historyRangeFilter')?.value || 'all';
+        const search = document.getElementById('historySearch')?.value.trim().toLowerCase() || '';
+        const since = range === 'all' ? 0 : Date.now() - parseInt(range, 10) * 24 * 60 * 60 * 1000;
+        
+        return this.entries.filter(entry => {
+            if (status !== 'all' && entry.status !== status) return false;
+            if ((entry.createdAt || 0) < since) return false;
+            if (search) {
+                const haystack = [entry.recipient, entry.recipientAccount, entry.reference, entry.sessionId].join(' ').toLowerCase();
+                if (!haystack.includes(search)) return false;
+            }
+            return true;
+        });
+    },
+
+    formatAmount(amount, currency) {
+        return `${currency || ''} ${Number(amount || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`.trim();
+    },
+
+    statusBadge(status = 'pending') {
+        return `<span class="history-status history-status-${escapeHtml(status)}">${escapeHtml(status)}</span>`;
+    },
+
+    render() {
+        const list = document.getElementById('historyList');
+        if (!list) return;
+        
+        const entries = this.filtered();
+        if (!entries.length) {
+            list.innerHTML = `<div class="history-empty">${this.entries.length ? 'No transactions match these filters' : 'No transactions yet'}</div>`;
+            return;
+        }
+        
+        list.innerHTML = entries.map(entry => `
+            <button class="history-item" data-session="${escapeHtml(entry.sessionId)}">
+                <div class="history-item-main">
+                    <span class="history-recipient">${escapeHtml(entry.recipient || 'Unknown recipient')}</span>
+                    <span class="history-amount">${escapeHtml(this.formatAmount(entry.sendAmount, entry.sendCurrency))}</span>
+                </div>
+                <div class="history-item-meta">
+                    <span>${escapeHtml(new Date(entry.createdAt).toLocaleString())}</span>
+                    ${this.statusBadge(entry.status)}
+                </div>
+            </button>
+        `).join('');
+    },
+
+    async open() {
+        if (!state.isAuthenticated) {
+            showToast('warning', 'Sign In Required', 'Sign in to see your transaction history');
+            return;
+        }
+        
+        // Remember which step was on screen so closing puts the user back there
+        this.hiddenViews = ['step1', 'step2'].filter(id => !document.getElementById(id)?.classList.contains('hidden'));
+        this.hiddenViews.forEach(id => document.getElementById(id)?.classList.add('hidden'));
+        document.querySelector('.progress-bar')?.classList.add('hidden');
+        document.getElementById('historyView')?.classList.remove('hidden');
+        this.hideDetail();
+        
+        const list = document.getElementById('historyList');
+        if (list) list.innerHTML = '<div class="history-empty">Loading transactions...</div>';
+        
+        try {
+            await this.load();
+            this.render();
+            this.refreshPending();
+        } catch (error) {
+            console.error('Failed to load history:', error);
+            if (list) list.innerHTML = '<div class="history-empty">Could not load your transactions</div>';
+            showToast('error', 'History Unavailable', 'Please try again in a moment');
+        }
+    },
+
+    close() {
+        this.hideDetail();
+        document.getElementById('historyView')?.classList.add('hidden');
+        document.querySelector('.progress-bar')?.classList.remove('hidden');
+        this.hiddenViews.forEach(id => document.getElementById(id)?.classList.remove('hidden'));
+        this.hiddenViews = [];
+    },
+
+    showDetail(sessionId) {
+        const entry = this.entries.find(e => e.sessionId === sessionId);
+        if (!entry) return;
+        
+        this.detailSessionId = sessionId;
+        document.getElementById('historyListView')?.classList.add('hidden');
+        document.getElementById('historyDetail')?.classList.remove('hidden');
+        this.renderDetail(entry);
+        
+        if (entry.status === 'pending') this.pollDetail(sessionId);
+    },
+
+    renderDetail(entry) {
+        const body = document.getElementById('historyDetailBody');
+        if (!body) return;
+        
+        const rows = [
+            ['Status', this.statusBadge(entry.status)],
+            ['You sent', escapeHtml(this.formatAmount(entry.sendAmount, entry.sendCurrency))],
+            ...(entry.total != null ? [
+                ['Fee', escapeHtml(this.formatAmount(entry.fee, entry.sendCurrency))],
+                ...(entry.discount ? [['Promo', escapeHtml(`-${this.formatAmount(entry.discount, entry.sendCurrency)}${entry.promoCode ? ` (${entry.promoCode})` : ''}`)]] : []),
+                ['Total paid', escapeHtml(this.formatAmount(entry.total, entry.sendCurrency))]
+            ] : []),
+            ['Recipient gets', escapeHtml(this.formatAmount(entry.receiveAmount, entry.receiveCurrency))],
+            ['Rate', escapeHtml(entry.rate ? `1 ${entry.receiveCurrency} = ${Number(entry.rate).toFixed(2)} ${entry.sendCurrency}` : '—')],
+            ['Recipient', escapeHtml(entry.recipient || '—')],
+            ['Paid to', escapeHtml([entry.receiveMethod, entry.recipientAccount, entry.ifscCode].filter(Boolean).join(' • ') || '—')],
+            ['Reference', escapeHtml(entry.reference || '—')],
+            ['Session', escapeHtml(entry.sessionId)],
+            ['Created', escapeHtml(new Date(entry.createdAt).toLocaleString())]
+        ];
+        
+        body.innerHTML = rows.map(([label, value]) => `
+            <div class="info-item">
+                <span class="info-label">${label}</span>
+                <span class="info-value">${value}</span>
+            </div>
+        `).join('') + (entry.status === 'pending' ? '<div class="history-live">● Checking live status...</div>' : '');
+    },
+
+    // Resolves to the backend's final status, or null while the session is still open.
+    // A 404 only means "abandoned" when the backend says it has no such session (not a
+    // missing route or a proxy page), payment never started, and a second look agrees.
+    async fetchStatus(sessionId, recheck = true) {
+        try {
+            const data = await ApiClient.get(`/payment/status/${sessionId}`, { retries: 0 });
+            return HISTORY_FINAL_STATUSES.includes(data?.status) ? data : null;
+        } catch (error) {
+            if (!(error instanceof ApiError && error.status === 404 && error.code === 'SESSION_NOT_FOUND')) throw error;
+            
+            const entry = this.entries.find(e => e.sessionId === sessionId);
+            if (entry?.reference) return null;
+            if (!recheck) return { status: 'expired' };
+            
+            await ApiClient.wait(HISTORY_EXPIRY_RECHECK_DELAY);
+            return this.fetchStatus(sessionId, false);
+        }
+    },
+
+    // Updates the cached entry and writes the settled status back to the user's history
+    applyStatus(sessionId, data) {
+        const entry = this.entries.find(e => e.sessionId === sessionId);
+        if (entry) {
+            entry.status = data.status;
+            entry.reference = entry.reference || data.reference || null;
+        }
+        this.record(sessionId, { status: data.status, reference: entry?.reference || data.reference || null });
+        return entry;
+    },
+
+    // Transfers abandoned before payment never get a client-side update, so the
+    // backend is asked about every pending entry whenever the list is loaded
+    async refreshPending() {
+        const pending = this.entries.filter(entry => entry.status === 'pending' && entry.sessionId);
+        let changed = false;
+        
+        const worker = async () => {
+            while (pending.length) {
+                const { sessionId } = pending.shift();
+                try {
+                    const data = await this.fetchStatus(sessionId);
+                    if (data) {
+                        this.applyStatus(sessionId, data);
+                        changed = true;
+                    }
+                } catch (error) {
+                    console.warn('⚠️ Could not refresh history status:', sessionId, error);
+                }
+            }
+        };
+        
+        await Promise.all(Array.from({ length: Math.min(HISTORY_REFRESH_CONCURRENCY, pending.length) }, worker));
+        if (changed) this.render();
+    },
+
+    pollDetail(sessionId) {
+        this.stopDetailPoll();
+        
+        const check = async () => {
+            try {
+                const data = await this.fetchStatus(sessionId);
+                if (this.detailSessionId !== sessionId || !data) return;
+                
+                this.stopDetailPoll();
+                const entry = this.applyStatus(sessionId, data);
+                if (entry) {
+                    this.renderDetail(entry);
+                    this.render();
+                }
+            } catch (error) {
+                console.error('History status check error:', error);
+            }
+        };
+        
+        check();
+        this.detailTimer = setInterval(check, HISTORY_DETAIL_POLL);
+    },
+
+    stopDetailPoll() {
+        if (this.detailTimer) clearInterval(this.detailTimer);
+        this.detailTimer = null;
+    },
+
+    hideDetail() {
+        this.stopDetailPoll();
+        this.detailSessionId = null;
+        document.getElementById('historyDetail')?.classList.add('hidden');
+        document.getElementById('historyListView')?.classList.remove('hidden');
+    },
+
+    exportCsv() {
+        const entries = this.filtered();
+        if (!entries.length) {
+            showToast('warning', 'Nothing to Export', 'No transactions match these filters');
+            return;
+        }
+        
+        const columns = ['createdAt', 'sessionId', 'reference', 'status', 'sendAmount', 'fee', 'discount', 'promoCode', 'total', 'sendCurrency', 'receiveAmount', 'receiveCurrency', 'rate', 'receiveMethod', 'recipient', 'recipientAccount', 'ifscCode'];
+        const cell = value => {
+            const text = String(value ?? '');
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [columns.join(',')].concat(entries.map(entry => columns.map(column =>
+            cell(column === 'createdAt' ? new Date(entry.createdAt).toISOString() : entry[column])
+        ).join(',')));
+        
+        const blob = new Blob([lines.join('\n')], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `horizonpay-transactions-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    },
+
+    init() {
+        document.getElementById('historyBtn')?.addEventListener('click', () => this.open());
+        document.getElementById('historyCloseBtn')?.addEventListener('click', () => this.close());
+        document.getElementById('historyDetailBack')?.addEventListener('click', () => this.hideDetail());
+        document.getElementById('historyExportBtn')?.addEventListener('click', () => this.exportCsv());
+        
+        ['historyStatusFilter', 'historyRangeFilter'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.render());
+        });
+        document.getElementById('historySearch')?.addEventListener('input', () => this.render());
+        
+        document.getElementById('historyList')?.addEventListener('click', (e) => {
+            const item = e.target.closest('.history-item');
+            if (item) this.showDetail(item.dataset.session);
+        });
+    }
+};
+
 // ============================================================================
-// UPDATED: INITIALIZATION
+// SAVED RECIPIENTS (SIGNED-IN USERS)
 // ============================================================================
+const Beneficiaries = {
+    items: [],
+    selectedId: null,
 
+    ref(id = '') {
+        if (!db || !state.user) return null;
+        return db.ref(`beneficiaries/${state.user.uid}${id ? `/${id}` : ''}`);
+    },
 
-function openPaystackPayment(paymentData) {
-    try {
-        if (!window.PaystackPop) {
-            throw new Error('Paystack library not loaded');
+    async refresh() {
+        document.getElementById('beneficiaryGroup')?.classList.toggle('hidden', !state.isAuthenticated);
+        document.getElementById('beneficiaryEditor')?.classList.toggle('hidden', !state.isAuthenticated);
+        
+        this.items = [];
+        this.selectedId = null;
+        if (state.isAuthenticated) {
+            try {
+                const snapshot = await this.ref().once('value');
+                this.items = Object.entries(snapshot.val() || {}).map(([id, item]) => ({ ...item, id }));
+            } catch (error) {
+                console.warn('⚠️ Could not load saved recipients:', error);
+            }
         }
+        this.render();
+    },
 
-        const handler = PaystackPop.setup({
-            key: PAYSTACK_PUBLIC_KEY,
-            email: state.userEmail || document.getElementById('email')?.value.trim(),
-            amount: Math.round(state.sendAmount * 100),
-            currency: 'NGN',
-            ref: paymentData.payment.reference,
-            metadata: {
-                sessionId: state.sessionId,
-                lockedRate: state.lockedRate,
-                custom_fields: [
-                    {
-                        display_name: "Exchange Rate",
-                        variable_name: "exchange_rate",
-                        value: `₦${state.lockedRate.toFixed(2)} per ₹1`
-                    }
-                ]
-            },
-            // ✅ FIX: Remove 'async' keyword here
-            callback: function(response) {
-                console.log('✅ Paystack payment successful:', response);
-                showToast('success', 'Payment Received', 'Verifying with backend...');
-                
-                // ✅ Call async verification (wrap in IIFE or separate function)
-                (async () => {
-                    try {
-                        const verifyResponse = await fetch(`${API_BASE_URL}/payment/verify-manual`, {
-                            method: 'POST',
-                            headers: {
-                                'Content-Type': 'application/json'
-                            },
-                            body: JSON.stringify({
-                                reference: response.reference,
-                                sessionId: state.sessionId
-                            })
-                        });
-                        
-                        const verifyData = await verifyResponse.json();
-                        
-                        if (verifyData.success && verifyData.status === 'completed') {
-                            console.log('✅ Backend verification successful:', verifyData);
-                            showPaymentSuccess(verifyData);
-                        } else {
-                            throw new Error(verifyData.error || 'Verification failed');
-                        }
-                        
-                    } catch (error) {
-                        console.error('❌ Backend verification failed:', error);
-                        showToast('warning', 'Verification Delayed', 'Checking status...');
-                        pollPaymentStatus(state.sessionId, response.reference);
-                    }
-                })();
-            },
-            
-            onClose: function() {
-                console.log('⚠️ Payment window closed');
-                showToast('warning', 'Payment Cancelled', 'You closed the payment window');
-            }
-        });
+    // Most recently used first; never-used recipients fall back to when they were saved
+    sorted() {
+        return [...this.items].sort((a, b) => (b.lastUsedAt || b.createdAt || 0) - (a.lastUsedAt || a.createdAt || 0));
+    },
+
+    describe(item) {
+        return item.type === 'upi'
+            ? `${item.label} • UPI ${item.upiId}`
+            : `${item.label} • A/C ••${String(item.accountNumber).slice(-4)}`;
+    },
+
+    render() {
+        const select = document.getElementById('beneficiarySelect');
+        if (!select) return;
         
-        handler.openIframe();
-    } catch (error) {
-        console.error('Payment popup error:', error);
-        showToast('error', 'Payment Error', error.message);
-    }
-}
+        select.innerHTML = '<option value="">New recipient</option>' + this.sorted().map(item =>
+            `<option value="${escapeHtml(item.id)}">${escapeHtml(this.describe(item))}</option>`
+        ).join('');
+        select.value = this.selectedId || '';
+        
+        const selected = this.items.find(item => item.id === this.selectedId);
+        const labelInput = document.getElementById('beneficiaryLabel');
+        if (labelInput) labelInput.value = selected?.label || '';
+        safeSetText('beneficiarySaveBtn', selected ? 'Update recipient' : 'Save recipient');
+        document.getElementById('beneficiaryDeleteBtn')?.classList.toggle('hidden', !selected);
+    },
+
+    select(id) {
+        this.selectedId = id || null;
+        const item = this.items.find(i => i.id === this.selectedId);
+        
+        if (item) {
+            document.querySelector(`#receiveMethodDropdown .payment-option[data-method="${item.type}"]`)?.click();
+            BENEFICIARY_FIELDS[item.type].forEach(field => {
+                const input = document.getElementById(field);
+                if (input) input.value = item[field] || '';
+            });
+            if (item.type === 'bank') IfscResolver.handleInput(item.ifscCode);
+        }
+        this.render();
+    },
 
+    // Same rules createConversion applies, so a saved recipient always passes
+    fromForm() {
+        const type = state.receiveMethod === 'upi' ? 'upi' : 'bank';
+        const values = {};
+        BENEFICIARY_FIELDS[type].forEach(field => {
+            values[field] = document.getElementById(field)?.value.trim() || '';
+        });
+        
+        if (type === 'upi') {
+            if (!validators.upiId(values.upiId)) throw new Error('Invalid UPI ID format');
+            if (!validators.name(values.receiverName)) throw new Error('Invalid receiver name');
+        } else {
+            if (!validators.accountNumber(values.accountNumber)) throw new Error('Invalid account number');
+            if (!validators.ifscCode(values.ifscCode)) throw new Error('Invalid IFSC code');
+            if (IfscResolver.isKnown(values.ifscCode) === false) throw new Error('Unknown IFSC code');
+            if (!validators.name(values.accountName)) throw new Error('Invalid account holder name');
+            values.ifscCode = values.ifscCode.toUpperCase();
+        }
+        
+        const label = document.getElementById('beneficiaryLabel')?.value.trim() || values.receiverName || values.accountName;
+        return { type, label, ...values };
+    },
 
-async function pollPaymentStatus(sessionId, paymentReference = null, maxAttempts = 30) {
-    let attempts = 0;
-    
-    const checkStatus = async () => {
+    async save() {
         try {
-            const data = await makeApiCall(`/payment/status/${sessionId}`);
-            
-            if (data.status === 'completed') {
-                clearInterval(statusInterval);
-                showPaymentSuccess(data);
-                return;
-            } else if (data.status === 'failed') {
-                clearInterval(statusInterval);
-                showPaymentFailure(data);
-                return;
-            }
+            if (!this.ref()) throw new Error('Sign in to save recipients');
+            const fields = this.fromForm();
+            const existing = this.items.find(item => item.id === this.selectedId);
             
-            attempts++;
-            if (attempts >= maxAttempts) {
-                clearInterval(statusInterval);
-                showToast('error', 'Verification Timeout', 'Please contact support with your reference');
+            if (existing && existing.type === fields.type) {
+                // Switching type on an existing entry leaves stale fields behind, so only same-type edits update in place
+                await this.ref(existing.id).update({ ...fields, updatedAt: Date.now() });
+                Object.assign(existing, fields);
+                showToast('success', 'Recipient Updated', `${fields.label} has been updated`);
+            } else {
+                const ref = this.ref().push();
+                const item = { ...fields, createdAt: Date.now(), lastUsedAt: null };
+                await ref.set(item);
+                this.items.push({ ...item, id: ref.key });
+                this.selectedId = ref.key;
+                showToast('success', 'Recipient Saved', `${fields.label} is now in your saved recipients`);
             }
+            this.render();
         } catch (error) {
-            console.error('Status check error:', error);
-            attempts++;
-            if (attempts >= maxAttempts) {
-                clearInterval(statusInterval);
-            }
+            showToast('error', 'Could Not Save Recipient', error.message);
         }
-    };
-    
-    const statusInterval = setInterval(checkStatus, 2000);
-    checkStatus();
-}
-
-// ============================================================================
-// UI UPDATE FUNCTIONS
-// ============================================================================
-function safeSetText(elementId, text) {
-    const element = document.getElementById(elementId);
-    if (element) {
-        element.textContent = text;
-    }
-}
+    },
 
-function updateExchangeRate() {
-    const rate = state.lockedRate || state.exchangeRate;
-    
-    safeSetText('exchangeRate', `1 ₹ = ₦${rate.toFixed(2)}`);
-    
-    const noticeBar = document.querySelector('.notice-bar .rate-badge');
-    if (noticeBar) {
-        const svg = noticeBar.querySelector('svg')?.outerHTML || '';
-        noticeBar.innerHTML = `${svg} ${state.lockedRate ? '🔒 Locked Rate' : 'Live Rate'}: 1 ₹ = ₦${rate.toFixed(2)}`;
-    }
-    
-    const sendAmountInput = document.getElementById('sendAmount');
-    const receiveAmountInput = document.getElementById('receiveAmount');
-    
-    if (sendAmountInput && document.activeElement === sendAmountInput) {
-        state.receiveAmount = state.sendAmount / rate;
-        if (receiveAmountInput) {
-            receiveAmountInput.value = state.receiveAmount.toFixed(2);
-        }
-    } else if (receiveAmountInput) {
-        state.sendAmount = state.receiveAmount * rate;
-        if (sendAmountInput) {
-            sendAmountInput.value = state.sendAmount.toFixed(2);
+    async remove() {
+        const item = this.items.find(i => i.id === this.selectedId);
+        if (!item || !confirm(`Delete ${item.label} from your saved recipients?`)) return;
+        
+        try {
+            await this.ref(item.id).remove();
+            this.items = this.items.filter(i => i.id !== item.id);
+            this.selectedId = null;
+            this.render();
+            showToast('info', 'Recipient Deleted', `${item.label} has been removed`);
+        } catch (error) {
+            showToast('error', 'Could Not Delete Recipient', error.message);
         }
-    }
-}
+    },
 
-function updateRateDisplay(data) {
-    const existingInfo = document.querySelector('.rate-info');
-    if (existingInfo) existingInfo.remove();
-    
-    const rateInfo = document.createElement('div');
-    rateInfo.className = 'rate-info';
-    rateInfo.style.cssText = 'margin-top: 10px; font-size: 12px; color: #10b981;';
-    rateInfo.innerHTML = `<small>✓ Rate Updated: ${new Date().toLocaleTimeString()} | Source: ${data.rates.rateSource || 'Live Market'}</small>`;
-    
-    const exchangeDisplay = document.querySelector('.exchange-display');
-    if (exchangeDisplay?.parentElement) {
-        exchangeDisplay.parentElement.insertBefore(rateInfo, exchangeDisplay.nextSibling);
+    // Bumps "last used" for whichever saved recipient these details match, picked or typed
+    markUsed(details) {
+        if (!details) return;
+        const item = this.items.find(i => details.upiId
+            ? i.type === 'upi' && i.upiId === details.upiId
+            : i.type === 'bank' && i.accountNumber === details.accountNumber && i.ifscCode === details.ifscCode);
+        if (!item) return;
+        
+        item.lastUsedAt = Date.now();
+        this.ref(item.id)?.update({ lastUsedAt: item.lastUsedAt })
+            .catch(error => console.warn('⚠️ Could not update recipient:', error));
+        this.render();
+    },
+
+    init() {
+        document.getElementById('beneficiarySelect')?.addEventListener('change', (e) => this.select(e.target.value));
+        document.getElementById('beneficiarySaveBtn')?.addEventListener('click', () => this.save());
+        document.getElementById('beneficiaryDeleteBtn')?.addEventListener('click', () => this.remove());
+        this.render();
     }
-}
+};
 
-function showLoading(show, message = 'Processing...') {
-    let loader = document.getElementById('loadingOverlay');
+// ============================================================================
+// PAYMENT SUMMARY
+// ============================================================================
+// Step 2 shows the locked /convert quote, which is also what Paystack charges
+function renderConversionSummary(conversionData) {
+    if (!conversionData.success) return;
+    const quote = state.quote || Quotes.fromConversion(conversionData);
+    const { sendCurrency, receiveCurrency } = quote;
     
-    if (show && !loader) {
-        loader = document.createElement('div');
-        loader.id = 'loadingOverlay';
-        loader.innerHTML = `
-            <div style="position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.7); display: flex; align-items: center; justify-content: center; z-index: 10000;">
-                <div style="background: white; padding: 30px; border-radius: 10px; text-align: center;">
-                    <div style="border: 4px solid #f3f3f3; border-top: 4px solid #6b4ef6; border-radius: 50%; width: 40px; height: 40px; animation: spin 1s linear infinite; margin: 0 auto 20px;"></div>
-                    <p style="margin: 0; font-weight: 600; color: #1a1a1a;">${message}</p>
-                </div>
-            </div>
-            <style>@keyframes spin { 0% { transform: rotate(0deg); } 100% { transform: rotate(360deg); } }</style>
-        `;
-        document.body.appendChild(loader);
-    } else if (!show && loader) {
-        loader.remove();
-    }
+    const updates = {
+        'summaryYouSend': `${sendCurrency} ${quote.sendAmount.toFixed(2)}`,
+        'summaryRate': `1 ${receiveCurrency} = ${quote.rate.toFixed(2)} ${sendCurrency}`,
+        'horizonRate': `1 ${receiveCurrency} = ${quote.rate.toFixed(2)} ${sendCurrency}`,
+        'summaryFxFeeLabel': Quotes.feeLabel(quote),
+        'summaryFxFee': `${sendCurrency} ${quote.fee.toFixed(2)}`,
+        'summaryDiscountLabel': quote.promoCode ? `Promo (${quote.promoCode})` : 'Promo',
+        'summaryDiscount': `-${sendCurrency} ${quote.discount.toFixed(2)}`,
+        'summaryTotal': `${sendCurrency} ${quote.total.toFixed(2)}`,
+        'summaryReceive': quote.receiveAmount != null ? `${receiveCurrency} ${quote.receiveAmount.toFixed(2)}` : '—'
+    };
+    document.getElementById('summaryDiscountItem')?.classList.toggle('hidden', !quote.discount);
+    
+    Object.entries(updates).forEach(([id, value]) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = value;
+    });
 }
 
 // ============================================================================
 // COUNTDOWN TIMER
 // ============================================================================
 function startCountdown() {
-    state.countdownEndTime = Date.now() + (5 * 60 * 1000);
+    if (state.countdownInterval) clearInterval(state.countdownInterval);
+    state.countdownEndTime = state.rateLockExpiresAt;
     
     const updateCountdown = () => {
         const now = Date.now();
@@ -1182,10 +3496,7 @@ function startCountdown() {
         }
 
         if (timeLeft <= 0) {
-            clearInterval(state.countdownInterval);
-            showToast('warning', 'Session Expired', 'Your rate lock has expired. Please start over.');
-            const backBtn = document.getElementById('backBtn');
-            if (backBtn) backBtn.click();
+            RateLock.showExpired();
         }
     };
     
@@ -1198,6 +3509,8 @@ function startCountdown() {
 // ============================================================================
 function showPaymentSuccess(data) {
     if (state.countdownInterval) clearInterval(state.countdownInterval);
+    ActiveSession.clear();
+    TransactionHistory.record(state.sessionId, { status: 'completed' });
     playSuccessSound();
     
     const step2 = document.getElementById('step2');
@@ -1218,7 +3531,7 @@ function showPaymentSuccess(data) {
             
             <div style="background: #f8f9fa; border-radius: 12px; padding: 24px; margin-bottom: 28px;">
                 <div style="font-size: 13px; color: #6c757d; font-weight: 600; margin-bottom: 8px; text-transform: uppercase; letter-spacing: 0.5px;">Amount Paid</div>
-                <div style="font-size: 36px; font-weight: 800; color: #1a1a1a; font-family: monospace; letter-spacing: -1px;">₦${state.sendAmount.toFixed(2)}</div>
+                <div style="font-size: 36px; font-weight: 800; color: #1a1a1a; font-family: monospace; letter-spacing: -1px;">${formatSendAmount(state.quote?.total ?? state.sendAmount)}</div>
             </div>
             
             <div style="text-align: left; margin-bottom: 32px;">
@@ -1232,7 +3545,7 @@ function showPaymentSuccess(data) {
                 </div>
                 <div style="display: flex; justify-content: space-between; padding: 14px 0; border-bottom: 1px solid #e9ecef;">
                     <span style="font-size: 14px; color: #6c757d; font-weight: 500;">Exchange Rate</span>
-                    <span style="font-size: 14px; color: #1a1a1a; font-weight: 600;">₦${(state.lockedRate || state.exchangeRate).toFixed(2)} per ₹1</span>
+                    <span style="font-size: 14px; color: #1a1a1a; font-weight: 600;">${formatRatePerUnit(state.lockedRate || state.exchangeRate)}</span>
                 </div>
                 <div style="display: flex; justify-content: space-between; padding: 14px 0; border-bottom: 1px solid #e9ecef;">
                     <span style="font-size: 14px; color: #6c757d; font-weight: 500;">Recipient</span>
@@ -1248,6 +3561,10 @@ function showPaymentSuccess(data) {
                 <button onclick="location.reload()" style="flex: 1; padding: 16px; border-radius: 12px; font-size: 15px; font-weight: 700; cursor: pointer; border: none; background: #6b4ef6; color: white;">
                     New Transaction
                 </button>
+                ${state.isAuthenticated ? `
+                <button onclick="TransactionHistory.open()" style="flex: 1; padding: 16px; border-radius: 12px; font-size: 15px; font-weight: 700; cursor: pointer; border: 1px solid #e9ecef; background: white; color: #1a1a1a;">
+                    View History
+                </button>` : ''}
             </div>
             
             <div style="display: flex; align-items: center; justify-content: center; gap: 8px; margin-top: 28px; font-size: 12px; color: #adb5bd; font-weight: 500;">
@@ -1273,6 +3590,8 @@ function showPaymentSuccess(data) {
 
 function showPaymentFailure(data) {
     if (state.countdownInterval) clearInterval(state.countdownInterval);
+    ActiveSession.clear();
+    TransactionHistory.record(state.sessionId, { status: 'failed', error: data.error || null });
     showToast('error', 'Payment Failed', data.error || 'Transaction could not be completed');
     setTimeout(() => {
         const backBtn = document.getElementById('backBtn');
@@ -1284,45 +3603,127 @@ function showPaymentFailure(data) {
 // DROPDOWN MANAGEMENT
 // ============================================================================
 function setupCurrencyDropdowns() {
+    // Options follow the registry: a currency is selectable if an enabled corridor uses it
+    const sync = (dropdownId, side) => {
+        document.querySelectorAll(`#${dropdownId} .select-option`).forEach(option => {
+            const available = Object.values(CORRIDORS).some(c => c.enabled && c[side].currency === option.dataset.currency);
+            option.classList.toggle('disabled', !available);
+            
+            const badge = option.querySelector('.coming-soon-badge');
+            if (available) {
+                badge?.remove();
+            } else if (!badge) {
+                option.insertAdjacentHTML('beforeend', '<span class="coming-soon-badge">Soon</span>');
+            }
+        });
+    };
+    sync('sendCurrencyDropdown', 'send');
+    sync('receiveCurrencyDropdown', 'receive');
+    
     document.querySelectorAll('#sendCurrencyDropdown .select-option:not(.disabled)').forEach(option => {
         option.addEventListener('click', () => {
-            state.sendCurrency = option.dataset.currency;
-            state.sendSymbol = option.dataset.symbol;
-            
-            safeSetText('sendCurrencyCode', state.sendCurrency);
-            safeSetText('sendSymbol', state.sendSymbol);
-            
-            const flagClass = option.dataset.flag;
-            const flagElement = document.querySelector('#sendCurrencyTrigger .flag-icon');
-            if (flagElement) flagElement.className = `${flagClass} flag-icon`;
+            const corridor = findCorridor(option.dataset.currency, state.receiveCurrency);
+            if (corridor) setCorridor(corridor.id);
             
             document.getElementById('sendCurrencyTrigger')?.classList.remove('active');
             document.getElementById('sendCurrencyDropdown')?.classList.remove('active');
-            
-            updateExchangeRate();
         });
     });
     
     document.querySelectorAll('#receiveCurrencyDropdown .select-option:not(.disabled)').forEach(option => {
         option.addEventListener('click', () => {
-            state.receiveCurrency = option.dataset.currency;
-            state.receiveSymbol = option.dataset.symbol;
-            
-            safeSetText('receiveCurrencyCode', state.receiveCurrency);
-            safeSetText('receiveSymbol', state.receiveSymbol);
-            
-            const flagClass = option.dataset.flag;
-            const flagElement = document.querySelector('#receiveCurrencyTrigger .flag-icon');
-            if (flagElement) flagElement.className = `${flagClass} flag-icon`;
+            const corridor = findCorridor(state.sendCurrency, option.dataset.currency);
+            if (corridor) setCorridor(corridor.id);
             
             document.getElementById('receiveCurrencyTrigger')?.classList.remove('active');
             document.getElementById('receiveCurrencyDropdown')?.classList.remove('active');
-            
-            updateExchangeRate();
         });
     });
 }
 
+// ============================================================================
+// CORRIDOR SELECTION
+// ============================================================================
+// Exact pair first, otherwise any enabled corridor that keeps the changed side
+function findCorridor(sendCurrency, receiveCurrency) {
+    const enabled = Object.values(CORRIDORS).filter(c => c.enabled);
+    return enabled.find(c => c.send.currency === sendCurrency && c.receive.currency === receiveCurrency) ||
+        enabled.find(c => c.send.currency === sendCurrency && sendCurrency !== state.sendCurrency) ||
+        enabled.find(c => c.receive.currency === receiveCurrency && receiveCurrency !== state.receiveCurrency) ||
+        null;
+}
+
+// Cache, history and alert keys stay unsuffixed for the default corridor
+function corridorStorageKey(base) {
+    return state.corridor.id === DEFAULT_CORRIDOR ? base : `${base}_${state.corridor.id}`;
+}
+
+function formatSendAmount(amount, grouped = false) {
+    return `${state.corridor.send.symbol}${grouped ? amount.toLocaleString() : amount.toFixed(2)}`;
+}
+
+function formatRatePerUnit(rate) {
+    const { send, receive } = state.corridor;
+    return `${send.symbol}${rate.toFixed(2)} per ${receive.symbol}1`;
+}
+
+// Applies a corridor to state and every currency-dependent part of the UI
+function setCorridor(corridorId, { refreshRates = true } = {}) {
+    const corridor = CORRIDORS[corridorId];
+    if (!corridor?.enabled) return false;
+    
+    const changed = corridor !== state.corridor;
+    state.corridor = corridor;
+    state.sendCurrency = corridor.send.currency;
+    state.sendSymbol = corridor.send.symbol;
+    state.receiveCurrency = corridor.receive.currency;
+    state.receiveSymbol = corridor.receive.symbol;
+    state.transactionLimit = corridor.limits[state.isAuthenticated ? 'authenticated' : 'guest'];
+    localStorage.setItem(CORRIDOR_KEY, corridor.id);
+    
+    safeSetText('sendCurrencyCode', corridor.send.currency);
+    safeSetText('sendSymbol', corridor.send.symbol);
+    safeSetText('receiveCurrencyCode', corridor.receive.currency);
+    safeSetText('receiveSymbol', corridor.receive.symbol);
+    
+    const sendFlag = document.querySelector('#sendCurrencyTrigger .flag-icon');
+    if (sendFlag) sendFlag.className = `fi ${corridor.send.flag} flag-icon`;
+    const receiveFlag = document.querySelector('#receiveCurrencyTrigger .flag-icon');
+    if (receiveFlag) receiveFlag.className = `fi ${corridor.receive.flag} flag-icon`;
+    
+    // Only offer the payout methods this corridor supports
+    const payoutOptions = document.querySelectorAll('#receiveMethodDropdown .payment-option');
+    payoutOptions.forEach(option => {
+        option.style.display = corridor.payoutMethods.includes(option.dataset.method) ? '' : 'none';
+    });
+    if (!corridor.payoutMethods.includes(state.receiveMethod)) {
+        [...payoutOptions].find(option => corridor.payoutMethods.includes(option.dataset.method))?.click();
+    }
+    
+    updateTransactionLimitUI();
+    
+    if (changed && refreshRates) {
+        // Rates, cache, history and alerts are all per corridor
+        state.rateData = null;
+        state.lastRateUpdate = null;
+        restoreCachedRates();
+        RateHistory.render();
+        RateAlert.render();
+        RateFeed.stop();
+        RateFeed.start();
+    }
+    
+    updateExchangeRate();
+    return true;
+}
+
+function restoreCorridor() {
+    const saved = localStorage.getItem(CORRIDOR_KEY);
+    if (saved && CORRIDORS[saved]?.enabled) {
+        setCorridor(saved, { refreshRates: false });
+    }
+}
+
 // ============================================================================
 // EVENT LISTENERS
 // ============================================================================
@@ -1341,7 +3742,7 @@ function setupEventListeners() {
             
             if (state.sendAmount > state.transactionLimit.max) {
                 if (!state.isAuthenticated) {
-                    showToast('warning', 'Transaction Limit Exceeded', `Sign in to send up to ₦10,000,000. Guest limit: ₦${state.transactionLimit.max.toLocaleString()}`);
+                    showToast('warning', 'Transaction Limit Exceeded', `Sign in to send up to ${formatSendAmount(state.corridor.limits.authenticated.max, true)}. Guest limit: ${formatSendAmount(state.transactionLimit.max, true)}`);
                     e.target.value = state.transactionLimit.max;
                     state.sendAmount = state.transactionLimit.max;
                 }
@@ -1429,6 +3830,18 @@ function setupEventListeners() {
         });
     });
     
+    // Registered-name hints belong to the account they were looked up for
+    [['upiId', 'upiNameStatus'], ['accountNumber', 'bankNameStatus'], ['ifscCode', 'bankNameStatus']].forEach(([inputId, statusId]) => {
+        document.getElementById(inputId)?.addEventListener('input', () => {
+            document.getElementById(statusId)?.classList.add('hidden');
+        });
+    });
+    
+    // A hand-edited UPI ID no longer belongs to the scanned QR
+    document.getElementById('upiId')?.addEventListener('input', (e) => {
+        if (state.upiIntent && e.target.value.trim() !== state.upiIntent.pa) QRScanner.clearIntent();
+    });
+    
     // QR Scanner
     const scanQrBtn = document.getElementById('scanQrBtn');
     if (scanQrBtn) {
@@ -1437,11 +3850,36 @@ function setupEventListeners() {
             if (initialized) {
                 QRScanner.startScanning();
             } else {
-                showToast('error', 'QR Scanner Error', 'Not available on this device');
+                showToast('error', 'Camera Not Available', 'Upload or paste a screenshot of the QR code instead');
             }
         });
     }
     
+    // QR from an uploaded image or screenshot
+    const qrImageInput = document.getElementById('qrImageInput');
+    document.getElementById('qrUploadBtn')?.addEventListener('click', () => qrImageInput?.click());
+    document.getElementById('qrModalUploadBtn')?.addEventListener('click', () => {
+        QRScanner.stopScanning();
+        qrImageInput?.click();
+    });
+    qrImageInput?.addEventListener('change', async () => {
+        const file = qrImageInput.files?.[0];
+        qrImageInput.value = '';
+        if (file) await QRScanner.scanImage(file);
+    });
+    
+    // Pasting a screenshot anywhere on step 1 scans it (text pastes are left alone)
+    document.addEventListener('paste', (e) => {
+        if (document.getElementById('step1')?.classList.contains('hidden')) return;
+        const file = [...(e.clipboardData?.items || [])]
+            .find(item => item.kind === 'file' && item.type.startsWith('image/'))
+            ?.getAsFile();
+        if (!file) return;
+        
+        e.preventDefault();
+        QRScanner.scanImage(file);
+    });
+    
     const closeModal = document.getElementById('closeModal');
     if (closeModal) {
         closeModal.addEventListener('click', () => QRScanner.stopScanning());
@@ -1459,13 +3897,19 @@ function setupEventListeners() {
     if (continueBtn) {
         continueBtn.addEventListener('click', async () => {
             try {
+                if (isRateTooStale()) {
+                    showToast('warning', 'Rate Out of Date', `The last rate we have is ${formatRateAge(getRateAgeMs())} old. Refreshing...`);
+                    fetchExchangeRates();
+                    return;
+                }
+                
                 if (!validators.amount(state.sendAmount)) {
                     const { min, max } = state.transactionLimit;
                     if (state.sendAmount > max && !state.isAuthenticated) {
                         showToast('warning', 'Sign In Required', 'Sign in to send larger amounts');
                         return;
                     }
-                    showToast('warning', 'Invalid Amount', `Amount must be between ₦${min.toLocaleString()} and ₦${max.toLocaleString()}`);
+                    showToast('warning', 'Invalid Amount', `Amount must be between ${formatSendAmount(min, true)} and ${formatSendAmount(max, true)}`);
                     return;
                 }
                 
@@ -1520,31 +3964,14 @@ function setupEventListeners() {
                 step2?.classList.remove('hidden');
                 progress2?.classList.add('active');
                 
-                setTimeout(() => {
-                    if (conversionData.success && conversionData.horizonPayOffer) {
-                        const offer = conversionData.horizonPayOffer;
-                        
-                        const updates = {
-                            'summaryYouSend': offer.youPay || `${state.sendCurrency} ${state.sendAmount.toFixed(2)}`,
-                            'summaryRate': offer.exchangeRate || `1 ${state.receiveCurrency} = ${state.exchangeRate.toFixed(2)} ${state.sendCurrency}`,
-                            'horizonRate': offer.exchangeRate || `1 ${state.receiveCurrency} = ${state.exchangeRate.toFixed(2)} ${state.sendCurrency}`,
-                            'summaryFxFee': offer.feeCharged || `${state.sendCurrency} 0.00`,
-                            'summaryTotal': offer.youPay || `${state.sendCurrency} ${state.sendAmount.toFixed(2)}`,
-                            'summaryReceive': offer.youGet || `${state.receiveCurrency} ${state.receiveAmount.toFixed(2)}`
-                        };
-                        
-                        Object.entries(updates).forEach(([id, value]) => {
-                            const el = document.getElementById(id);
-                            if (el) el.textContent = value;
-                        });
-                    }
-                }, 100);
+                setTimeout(() => renderConversionSummary(conversionData), 100);
                 
                 window.scrollTo({ top: 0, behavior: 'smooth' });
                 startCountdown();
-                showToast('success', 'Session Created', 'Your rate has been locked for 5 minutes');
+                showToast('success', 'Session Created', `Your rate has been locked for ${Math.ceil(RateLock.remainingMs() / 60000)} minutes`);
                 
             } catch (error) {
+                if (error.code === 'RECIPIENT_NOT_CONFIRMED') return;
                 showToast('error', 'Error', error.message || 'Failed to create session');
             }
         });
@@ -1558,14 +3985,25 @@ function setupEventListeners() {
                 if (!state.sessionId) {
                     throw new Error('No active session');
                 }
+                if (RateLock.isExpired()) {
+                    RateLock.showExpired();
+                    return;
+                }
                 const paymentData = await initializePayment(state.sessionId);
                 openPaystackPayment(paymentData);
             } catch (error) {
+                if (RateLock.isExpiredError(error)) {
+                    RateLock.showExpired();
+                    return;
+                }
                 showToast('error', 'Payment Error', error.message);
             }
         });
     }
     
+    // Re-quote button (expired rate lock)
+    document.getElementById('requoteBtn')?.addEventListener('click', () => RateLock.requote());
+    
     // Back button
     const backBtn = document.getElementById('backBtn');
     if (backBtn) {
@@ -1575,10 +4013,10 @@ function setupEventListeners() {
             state.lockedRate = null;
             state.lockedRateData = null;
             state.countdownEndTime = null;
+            RateLock.reset();
+            ActiveSession.clear();
             
-            if (!state.rateRefreshInterval) {
-                state.rateRefreshInterval = setInterval(fetchExchangeRates, RATE_REFRESH_INTERVAL);
-            }
+            RateFeed.start();
             
             step2?.classList.add('hidden');
             step1?.classList.remove('hidden');
@@ -1619,17 +4057,25 @@ async function initializeApp() {
         const authTime = performance.now() - startTime;
         console.log(`✅ Auth detected in ${authTime.toFixed(0)}ms`);
         
-        // ✅ STEP 2: Fetch rates
+        // ✅ STEP 2: Show cached rates immediately, then fetch live ones
+        restoreCorridor();
+        const hasCachedRates = restoreCachedRates();
+        setInterval(updateStalenessBadge, 30000);
         console.log('⏳ Loading exchange rates...');
-        try {
-            await fetchExchangeRates();
-        } catch (error) {
+        const ratesLoaded = fetchExchangeRates().catch(error => {
             console.error('❌ Initial rate fetch failed:', error);
             // Error state already handled in fetchExchangeRates()
-        }
+        });
+        // With a cached rate on screen, don't hold the UI for a cold-starting backend
+        if (!hasCachedRates) await ratesLoaded;
         
-        // ✅ STEP 3: Setup rate refresh
-        state.rateRefreshInterval = setInterval(fetchExchangeRates, RATE_REFRESH_INTERVAL);
+        // ✅ STEP 3: Subscribe to live rates (SSE, falls back to polling)
+        RateFeed.start();
+        document.addEventListener('visibilitychange', () => RateFeed.handleVisibilityChange());
+        // Backup for a missed visibilitychange; only acts while the stream is paused
+        window.addEventListener('focus', () => {
+            if (RateFeed.streamPaused) RateFeed.handleVisibilityChange();
+        });
         
         // ✅ STEP 4: Initialize QR Scanner
         await QRScanner.init();
@@ -1637,6 +4083,16 @@ async function initializeApp() {
         // ✅ STEP 5: Setup UI
         setupCurrencyDropdowns();
         setupEventListeners();
+        RateHistory.init();
+        RateAlert.init();
+        TransactionHistory.init();
+        Beneficiaries.init();
+        IfscResolver.init();
+        Promotions.init();
+        ReceiveQR.init();
+        
+        // ✅ STEP 6: Pick up a conversion interrupted by a reload or popup crash
+        await ActiveSession.resume();
         
         const totalTime = performance.now() - startTime;
         console.log(`✅ Initialized in ${totalTime.toFixed(0)}ms`);
@@ -0,0 +1,178 @@
+// convert/build-ifsc-dataset.js - Regenerate the bundled IFSC dataset
+//
+//   npm pack ifsc && tar xzf ifsc-*.tgz
+//   node convert/build-ifsc-dataset.js package/src [convert/ifsc-dataset.json] [--branches release|IFSC.csv|URL]
+//
+// Input is the `src` directory of Razorpay's IFSC release (the `ifsc` npm
+// package or github.com/razorpay/ifsc): IFSC.json, banknames.json,
+// sublet.json and custom-sublets.json. The output is what app.js loads to
+// validate codes offline.
+//
+// Branch, city and state are only in the release dump (IFSC.csv, attached to
+// each GitHub release). With --branches it is split into one file per bank
+// under ifsc-branches/ next to the output; app.js fetches the shard for the
+// code being typed. `--branches release` downloads the dump of the same
+// release as the src directory. Without shards the page still validates codes
+// and shows the bank name. Re-run this whenever a new release is published.
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('../a1topup/csv');
+
+const DEFAULT_OUTPUT = path.join(__dirname, 'ifsc-dataset.json');
+const BRANCHES_DIR = 'ifsc-branches';
+const RELEASE_CSV_URL = 'https://github.com/razorpay/ifsc/releases/download/v{version}/IFSC.csv';
+const MAX_REDIRECTS = 5;
+
+function readJson(dir, file, fallback) {
+  const full = path.join(dir, file);
+  if (!fs.existsSync(full)) {
+    if (fallback !== undefined) return fallback;
+    throw new Error(`Missing ${file} in ${dir}`);
+  }
+  return JSON.parse(fs.readFileSync(full, 'utf8'));
+}
+
+// Numeric branch codes are stored as runs ("1-240") to keep the file small
+function compressBranches(list) {
+  const numbers = list.filter(code => typeof code === 'number').sort((a, b) => a - b);
+  const strings = list.filter(code => typeof code === 'string').sort();
+  const runs = [];
+
+  for (const n of numbers) {
+    const last = runs[runs.length - 1];
+    if (last && last[1] === n - 1) last[1] = n;
+    else runs.push([n, n]);
+  }
+
+  return runs.map(([start, end]) => (start === end ? start : `${start}-${end}`)).concat(strings);
+}
+
+function buildDataset(sourceDir, { version } = {}) {
+  const codes = readJson(sourceDir, 'IFSC.json');
+  const names = readJson(sourceDir, 'banknames.json');
+  const sublets = readJson(sourceDir, 'sublet.json', {});
+  const customSublets = readJson(sourceDir, 'custom-sublets.json', {});
+
+  const branches = {};
+  Object.keys(codes).sort().forEach(bank => {
+    branches[bank] = compressBranches(codes[bank]);
+  });
+
+  // Only keep names we can actually resolve to
+  const used = new Set([...Object.keys(branches), ...Object.values(sublets), ...Object.values(customSublets)]);
+  const banks = {};
+  [...used].sort().forEach(code => {
+    if (names[code]) banks[code] = names[code];
+  });
+
+  return {
+    version: version || new Date().toISOString().slice(0, 10),
+    source: 'razorpay/ifsc',
+    banks,
+    branches,
+    sublets,
+    customSublets
+  };
+}
+
+// { BANK: { IFSC: [branch, city, district, state] } } from the IFSC.csv dump
+function buildBranchShards(csvText) {
+  const shards = {};
+  parseCsv(csvText).forEach(row => {
+    const code = (row.ifsc || '').toUpperCase();
+    if (!/^[A-Z]{4}0[A-Z0-9]{6}$/.test(code)) return;
+
+    const bank = code.slice(0, 4);
+    shards[bank] = shards[bank] || {};
+    shards[bank][code] = [row.branch, row.city || row.centre, row.district, row.state].map(value => value || null);
+  });
+  return shards;
+}
+
+function writeBranchShards(shards, dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  Object.keys(shards).forEach(bank => {
+    fs.writeFileSync(path.join(dir, `${bank}.json`), JSON.stringify(shards[bank]));
+  });
+}
+
+// GitHub serves release assets through a redirect
+function download(url, redirects = MAX_REDIRECTS) {
+  const client = url.startsWith('https:') ? require('https') : require('http');
+
+  return new Promise((resolve, reject) => {
+    client.get(url, response => {
+      const { statusCode, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        if (!redirects) return reject(new Error(`Too many redirects fetching ${url}`));
+        return resolve(download(new URL(headers.location, url).toString(), redirects - 1));
+      }
+      if (statusCode !== 200) {
+        response.resume();
+        return reject(new Error(`Download failed (${statusCode}): ${url}`));
+      }
+
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      response.on('error', reject);
+    }).on('error', reject);
+  });
+}
+
+// `source` is a local IFSC.csv, a URL, or "release" for the dump matching `version`
+async function readBranchesCsv(source, version) {
+  if (source === 'release') {
+    if (!version) throw new Error('--branches release needs the package.json next to the src directory');
+    source = RELEASE_CSV_URL.replace('{version}', version);
+  }
+  if (/^https?:\/\//.test(source)) {
+    console.log(`⬇️  Downloading ${source}`);
+    return download(source);
+  }
+  return fs.readFileSync(source, 'utf8');
+}
+
+function argValue(args, name) {
+  const i = args.indexOf(name);
+  return i !== -1 ? args[i + 1] : undefined;
+}
+
+async function main(args) {
+  const branchesCsv = argValue(args, '--branches');
+  const [sourceDir, output = DEFAULT_OUTPUT] = args.filter((arg, i) => arg !== '--branches' && args[i - 1] !== '--branches');
+  if (!sourceDir) {
+    console.error('Usage: node convert/build-ifsc-dataset.js <ifsc-src-dir> [output.json] [--branches release|IFSC.csv|URL]');
+    process.exitCode = 1;
+    return;
+  }
+
+  let version;
+  const pkg = path.join(sourceDir, '..', 'package.json');
+  if (fs.existsSync(pkg)) version = JSON.parse(fs.readFileSync(pkg, 'utf8')).version;
+
+  const dataset = buildDataset(sourceDir, { version });
+  fs.writeFileSync(output, JSON.stringify(dataset));
+
+  const total = Object.values(dataset.branches).length;
+  console.log(`✅ Wrote ${output} (${dataset.version}, ${total} banks)`);
+
+  if (branchesCsv) {
+    const shards = buildBranchShards(await readBranchesCsv(branchesCsv, version));
+    const dir = path.join(path.dirname(output), BRANCHES_DIR);
+    writeBranchShards(shards, dir);
+    console.log(`✅ Wrote ${Object.keys(shards).length} branch shards to ${dir}`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { buildDataset, compressBranches, buildBranchShards, readBranchesCsv, writeBranchShards };
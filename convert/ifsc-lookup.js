@@ -0,0 +1,144 @@
+// convert/ifsc-lookup.js - IFSC validation against the bundled dataset and branch shards
+//
+// Dependency-free so the same file works in the browser (<script> exposes
+// window.IfscLookup for app.js) and in Node (require) for the tests.
+// Both files come from convert/build-ifsc-dataset.js.
+(function (root) {
+  const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+
+  // Expands one bank's "start-end" runs (see compressBranches) into a Set
+  function expandBranches(entries) {
+    const set = new Set();
+    (entries || []).forEach(entry => {
+      const run = typeof entry === 'string' && entry.match(/^(\d+)-(\d+)$/);
+      if (run) {
+        for (let n = Number(run[1]); n <= Number(run[2]); n++) set.add(n);
+      } else {
+        set.add(entry);
+      }
+    });
+    return set;
+  }
+
+  // `loadJson(url)` resolves to the parsed file, or null when it doesn't exist.
+  // The dataset decides validity; a bank's shard (ifsc-branches/<BANK>.json)
+  // only adds branch/city, so a missing shard never blocks a valid code.
+  function createIfscLookup({ loadJson, datasetUrl, branchesUrl }) {
+    return {
+      dataset: null,
+      datasetPromise: null,
+      branchSets: {},
+      branchShards: {},
+
+      loadDataset() {
+        if (!this.datasetPromise) {
+          this.datasetPromise = loadJson(datasetUrl)
+            .then(dataset => {
+              if (!dataset) throw new Error('IFSC dataset not found');
+              this.dataset = dataset;
+              return dataset;
+            })
+            .catch(error => {
+              // Let the next lookup try again
+              this.datasetPromise = null;
+              throw error;
+            });
+        }
+        return this.datasetPromise;
+      },
+
+      branchSet(bankCode) {
+        if (!this.branchSets[bankCode]) {
+          this.branchSets[bankCode] = expandBranches(this.dataset.branches[bankCode]);
+        }
+        return this.branchSets[bankCode];
+      },
+
+      // true / false once the dataset is loaded, undefined before
+      isKnown(code) {
+        if (!this.dataset) return undefined;
+        code = String(code || '').toUpperCase();
+        if (!IFSC_PATTERN.test(code)) return false;
+
+        const bankCode = code.slice(0, 4);
+        const branchCode = code.slice(5);
+        if (!this.dataset.branches[bankCode]) return false;
+        return this.branchSet(bankCode).has(/^\d+$/.test(branchCode) ? parseInt(branchCode, 10) : branchCode);
+      },
+
+      // Sub-member banks clear through a sponsor bank's IFSC prefix
+      bankName(code) {
+        const { banks, sublets = {}, customSublets = {} } = this.dataset;
+        const prefix = Object.keys(customSublets).find(p => code.startsWith(p));
+        const bankCode = sublets[code] || (prefix && customSublets[prefix]) || code.slice(0, 4);
+        return banks[bankCode] || banks[code.slice(0, 4)] || null;
+      },
+
+      // One shard per bank, loaded the first time one of its codes is looked up
+      loadBranches(bankCode) {
+        if (!this.branchShards[bankCode]) {
+          this.branchShards[bankCode] = loadJson(`${branchesUrl}/${bankCode}.json`)
+            .then(shard => shard || {})
+            .catch(error => {
+              delete this.branchShards[bankCode];
+              throw error;
+            });
+        }
+        return this.branchShards[bankCode];
+      },
+
+      async branchDetails(code) {
+        const shard = await this.loadBranches(code.slice(0, 4));
+        const row = shard[code];
+        if (!row) return null;
+
+        const [branch, city, district, state] = row;
+        return { branch, city, district, state };
+      },
+
+      // Resolves to { valid, reason, details }
+      async resolve(code) {
+        code = String(code || '').trim().toUpperCase();
+        if (!IFSC_PATTERN.test(code)) {
+          return { valid: false, reason: 'Invalid IFSC code', details: null };
+        }
+
+        try {
+          await this.loadDataset();
+        } catch (error) {
+          console.error('IFSC dataset load failed:', error);
+          return { valid: false, reason: 'Could not verify IFSC code. Please try again.', details: null };
+        }
+
+        if (!this.isKnown(code)) {
+          return { valid: false, reason: 'Unknown IFSC code. Please check it with the recipient.', details: null };
+        }
+
+        let details = null;
+        try {
+          details = await this.branchDetails(code);
+        } catch (error) {
+          console.warn('⚠️ IFSC details unavailable:', error);
+        }
+
+        return {
+          valid: true,
+          reason: null,
+          details: { ifsc: code, bank: this.bankName(code), ...details }
+        };
+      }
+    };
+  }
+
+  const IfscLookup = {
+    IFSC_PATTERN,
+    expandBranches,
+    createIfscLookup
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IfscLookup;
+  } else {
+    root.IfscLookup = IfscLookup;
+  }
+})(typeof self !== 'undefined' ? self : this);
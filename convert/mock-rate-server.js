@@ -0,0 +1,105 @@
+// convert/mock-rate-server.js - Local stand-in for the rates backend
+//
+// Serves GET /api/rates and the GET /api/rates/stream Server-Sent Events
+// channel the convert page subscribes to. No dependencies:
+//
+//   node convert/mock-rate-server.js [port]
+//
+// then, before app.js loads:
+//   <script>window.HORIZONPAY_API_BASE_URL = 'http://localhost:4020/api';</script>
+//
+// Env: MOCK_RATE (start rate, default 16), MOCK_RATE_INTERVAL (ms between pushes, default 5000),
+// MOCK_STREAM=off (stream returns 503, to exercise the polling fallback)
+const http = require('http');
+
+function createRateServer(options = {}) {
+    let rate = Number(options.rate || 16);
+    const interval = Number(options.interval || 5000);
+    const streamEnabled = options.stream !== false;
+    const clients = new Set();
+
+    const payload = () => ({
+        success: true,
+        rates: {
+            horizonPayRate: Number(rate.toFixed(2)),
+            rateSource: 'Mock Server',
+            updatedAt: new Date().toISOString()
+        }
+    });
+
+    // Small random walk so the UI visibly updates
+    const publish = () => {
+        rate = Math.max(1, rate + (Math.random() - 0.5) * 0.2);
+        const message = `event: rates\ndata: ${JSON.stringify(payload())}\n\n`;
+        clients.forEach(res => res.write(message));
+    };
+    const timer = setInterval(publish, interval);
+
+    const server = http.createServer((req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Request-ID');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            return res.end();
+        }
+
+        const path = req.url.split('?')[0];
+
+        if (path === '/api/rates') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify(payload()));
+        }
+
+        if (path === '/api/rates/stream') {
+            if (!streamEnabled) {
+                res.writeHead(503, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ error: 'Stream disabled' }));
+            }
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive'
+            });
+            res.write(`retry: 5000\nevent: rates\ndata: ${JSON.stringify(payload())}\n\n`);
+            clients.add(res);
+            req.on('close', () => clients.delete(res));
+            return;
+        }
+
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Not found' }));
+    });
+
+    return {
+        server,
+        publish,
+        setRate(value) {
+            rate = Number(value);
+            publish();
+        },
+        listen(port = 0) {
+            return new Promise(resolve => server.listen(port, () => resolve(server.address().port)));
+        },
+        close() {
+            clearInterval(timer);
+            clients.forEach(res => res.end());
+            clients.clear();
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+}
+
+if (require.main === module) {
+    const mock = createRateServer({
+        rate: process.env.MOCK_RATE,
+        interval: process.env.MOCK_RATE_INTERVAL,
+        stream: process.env.MOCK_STREAM !== 'off'
+    });
+    mock.listen(Number(process.argv[2] || 4020)).then(port => {
+        console.log(`Mock rate server on http://localhost:${port}/api (stream ${process.env.MOCK_STREAM === 'off' ? 'off' : 'on'})`);
+    });
+}
+
+module.exports = { createRateServer };
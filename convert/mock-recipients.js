@@ -0,0 +1,46 @@
+// convert/mock-recipients.js - Local account directory for recipient verification
+//
+// Development and tests only: index.html doesn't load it. To try the name
+// check without the backend route, add after app.js:
+//
+//   <script>window.HORIZONPAY_RECIPIENT_VERIFIER = 'mock';</script>   (before app.js)
+//   <script src="mock-recipients.js"></script>                      (after app.js)
+//
+// In the browser it registers itself as the 'mock' verifier; in Node
+// (require) it exports the directory and resolver for the tests.
+(function (root) {
+  // Keyed by VPA or `account@IFSC`
+  const MOCK_ACCOUNTS = {
+    'ravi@okaxis': 'RAVI KUMAR',
+    'priya.s@ybl': 'PRIYA SHARMA',
+    '123456789012@SBIN0000001': 'RAJ KUMAR SINGH',
+    '50100123456789@HDFC0000001': 'ANITA DESAI'
+  };
+
+  // Same contract as the API adapter: resolve(account) -> { found, registeredName }
+  function createMockResolver(accounts = MOCK_ACCOUNTS, { delay = 0 } = {}) {
+    return {
+      accounts,
+      async resolve({ upiId, accountNumber, ifscCode }) {
+        if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+        const key = upiId ? upiId.toLowerCase() : `${accountNumber}@${String(ifscCode || '').toUpperCase()}`;
+        const registeredName = accounts[key];
+        return registeredName ? { found: true, registeredName } : { found: false };
+      }
+    };
+  }
+
+  const MockRecipients = {
+    MOCK_ACCOUNTS,
+    createMockResolver
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MockRecipients;
+  } else {
+    root.MockRecipients = MockRecipients;
+    if (typeof RecipientVerification !== 'undefined') {
+      RecipientVerification.register('mock', createMockResolver(MOCK_ACCOUNTS, { delay: 300 }));
+    }
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,20 @@
+// ============================================================================
+// QR DECODE WORKER
+// ============================================================================
+// Runs jsQR off the main thread for QRScanner.scanFrame. Receives
+// { id, width, height, buffer } (RGBA pixels, transferred) and answers
+// { id, data } with the decoded text, or null.
+// Same vendored jsqr@1.4.0 the page loads (relative to this file)
+importScripts('vendor/jsQR.js');
+
+self.onmessage = (event) => {
+    const { id, width, height, buffer } = event.data;
+
+    try {
+        // Camera frames are never inverted; skipping that pass halves the work
+        const code = jsQR(new Uint8ClampedArray(buffer), width, height, { inversionAttempts: 'dontInvert' });
+        self.postMessage({ id, data: code ? code.data : null });
+    } catch (error) {
+        self.postMessage({ id, data: null, error: error.message });
+    }
+};
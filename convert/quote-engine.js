@@ -0,0 +1,136 @@
+// convert/quote-engine.js - Quote maths shared by the calculator and step 2
+//
+// Follows the backend's fee model: the fee (horizonPayOffer.feeCharged) is
+// taken out of the send amount, never added to it, so the customer pays what
+// they send less any promo, and that is /convert's youPay / quote.total.
+// Rates are send-currency units per 1 receive unit.
+//
+// Dependency-free so the same file works in the browser (<script> exposes
+// window.QuoteEngine for app.js) and in Node (require) for the tests.
+(function (root) {
+  function round(value, decimals, mode = 'half-up') {
+    const factor = 10 ** decimals;
+    // The epsilon keeps 5.1 * 100 from flooring to 509
+    const scaled = value * factor;
+    const rounded = mode === 'down' ? Math.floor(scaled + 1e-7)
+      : mode === 'up' ? Math.ceil(scaled - 1e-7)
+      : Math.round(scaled + 1e-7);
+    return rounded / factor;
+  }
+
+  // First tier whose `upTo` covers the amount; the last one catches the rest
+  function feeTier(pricing, sendAmount) {
+    return pricing.feeTiers.find(tier => sendAmount <= tier.upTo) || pricing.feeTiers[pricing.feeTiers.length - 1];
+  }
+
+  // Promotions come from /promos and only ever reduce the fee or the total
+  function discount(promotion, fee, sendAmount, corridor, now = Date.now()) {
+    if (!promotion || sendAmount <= 0) return 0;
+    if (promotion.corridors && !promotion.corridors.includes(corridor.id)) return 0;
+    if (promotion.minSend && sendAmount < promotion.minSend) return 0;
+    if (promotion.expiresAt && new Date(promotion.expiresAt).getTime() <= now) return 0;
+
+    let amount = fee * (Number(promotion.feeDiscountPercent) || 0) / 100 + (Number(promotion.amountOff) || 0);
+    if (promotion.maxDiscount) amount = Math.min(amount, promotion.maxDiscount);
+    return Math.min(amount, sendAmount);
+  }
+
+  // Pass either sendAmount (what the sender types) or receiveAmount (a target
+  // for the recipient); the other side is worked out from the rate. Fees and
+  // totals round half-up, the receive amount rounds down and a send amount
+  // worked back from a receive target rounds up, so we never promise more
+  // than we pay out.
+  function quote({ sendAmount, receiveAmount, rate, corridor, promotion = null, now = Date.now() }) {
+    const { pricing } = corridor;
+    const { decimals } = pricing;
+    const customerRate = rate * (1 + pricing.fxMargin);
+
+    if (sendAmount == null) {
+      receiveAmount = round(Math.max(0, receiveAmount || 0), decimals.receive, 'down');
+      sendAmount = round(receiveAmount * customerRate, decimals.send, 'up');
+    } else {
+      sendAmount = round(Math.max(0, sendAmount || 0), decimals.send);
+      receiveAmount = customerRate > 0 ? round(sendAmount / customerRate, decimals.receive, 'down') : 0;
+    }
+
+    const tier = feeTier(pricing, sendAmount);
+    const fee = sendAmount > 0
+      ? round(Math.min(sendAmount, Math.max(pricing.minFee, sendAmount * tier.percent / 100 + tier.fixed)), decimals.send)
+      : 0;
+    const off = round(discount(promotion, fee, sendAmount, corridor, now), decimals.send, 'down');
+
+    return {
+      corridor: corridor.id,
+      sendCurrency: corridor.send.currency,
+      receiveCurrency: corridor.receive.currency,
+      sendAmount,
+      receiveAmount,
+      baseRate: rate,
+      rate: customerRate,
+      fxMarginAmount: round(receiveAmount * (customerRate - rate), decimals.send),
+      fee,
+      feePercent: tier.percent,
+      feeFixed: tier.fixed,
+      promoCode: off > 0 ? promotion.code : null,
+      discount: off,
+      total: round(sendAmount - off, decimals.send)
+    };
+  }
+
+  // Sent with /convert so the backend can check it quotes the same numbers
+  function toPayload({ sendAmount, receiveAmount, rate, fee, discount, total, promoCode }) {
+    return { sendAmount, receiveAmount, rate, fee, discount, total, promoCode };
+  }
+
+  // "NGN 1,234.50" -> 1234.5
+  function parseAmount(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    const match = String(value ?? '').replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+    return match ? Number(match[0]) : null;
+  }
+
+  // The quote the backend locked: { quote: { sendAmount, fee, discount, total,
+  // receiveAmount, feePercent, promoCode } }, or the horizonPayOffer strings.
+  // Amounts come from the server only; `sendAmount` is what was asked for, in
+  // case the response doesn't echo it. total / receiveAmount are null when the
+  // server left them out, never a local estimate.
+  function fromConversion(data, { corridor, rate, sendAmount }) {
+    const server = data.quote || {};
+    const offer = data.horizonPayOffer || {};
+    const pick = (...values) => values.map(parseAmount).find(value => value != null) ?? null;
+
+    return {
+      corridor: corridor.id,
+      sendCurrency: corridor.send.currency,
+      receiveCurrency: corridor.receive.currency,
+      sendAmount: pick(server.sendAmount) ?? sendAmount,
+      receiveAmount: pick(server.receiveAmount, offer.youGet),
+      baseRate: rate,
+      rate,
+      fxMarginAmount: 0,
+      fee: pick(server.fee, offer.feeCharged) ?? 0,
+      feePercent: pick(server.feePercent),
+      feeFixed: pick(server.feeFixed),
+      promoCode: server.promoCode || null,
+      discount: pick(server.discount, offer.discount) ?? 0,
+      total: pick(server.total, offer.youPay),
+      source: 'server'
+    };
+  }
+
+  const QuoteEngine = {
+    round,
+    feeTier,
+    discount,
+    quote,
+    toPayload,
+    parseAmount,
+    fromConversion
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuoteEngine;
+  } else {
+    root.QuoteEngine = QuoteEngine;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,82 @@
+// convert/recipient-match.js - Recipient name matching
+//
+// Dependency-free so the same file works in the browser (<script> exposes
+// window.RecipientMatch for app.js) and in Node (require) for the tests.
+(function (root) {
+  // Honorifics that bank and UPI records drop
+  const TITLES = ['MR', 'MRS', 'MS', 'MISS', 'DR', 'SHRI', 'SMT', 'KUMARI'];
+
+  // ========================================
+  // Name matching
+  // ========================================
+  // Bank records are upper-case, often reordered, and abbreviate to initials
+  function normalizeName(name) {
+    return String(name || '')
+      .toUpperCase()
+      .replace(/[^A-Z\s]/g, ' ')
+      .split(/\s+/)
+      .filter(token => token && !TITLES.includes(token));
+  }
+
+  function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+        previous = current;
+      }
+    }
+    return row[b.length];
+  }
+
+  function tokenScore(a, b) {
+    if (a === b) return 1;
+    if (a.length === 1 || b.length === 1) return a[0] === b[0] ? 0.9 : 0;
+    return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  }
+
+  // 0..1, order-insensitive. Every token of the shorter name has to find a
+  // partner, so a dropped middle name still matches but "Ravi Kumar" vs
+  // "Ravi Shankar" doesn't. A lone first name is never enough on its own.
+  function nameScore(entered, registered) {
+    const a = normalizeName(entered);
+    const b = normalizeName(registered);
+    if (!a.length || !b.length) return 0;
+
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    const remaining = [...longer];
+    let total = 0;
+    shorter.forEach(token => {
+      let best = 0;
+      let bestIndex = -1;
+      remaining.forEach((candidate, index) => {
+        const score = tokenScore(token, candidate);
+        if (score > best) {
+          best = score;
+          bestIndex = index;
+        }
+      });
+      if (bestIndex >= 0) remaining.splice(bestIndex, 1);
+      total += best;
+    });
+
+    const score = total / shorter.length;
+    return shorter.length === 1 && longer.length > 1 ? Math.min(score, 0.8) : score;
+  }
+
+  const RecipientMatch = {
+    normalizeName,
+    editDistance,
+    tokenScore,
+    nameScore
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipientMatch;
+  } else {
+    root.RecipientMatch = RecipientMatch;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,154 @@
+// convert/upi-uri.js - UPI intent and BharatQR parsing, validation and building
+//
+// Handles NPCI `upi://pay?...` intents and EMVCo BharatQR payloads, and
+// builds intents for the "share my receiving QR" generator.
+// Dependency-free so the same file works in the browser (<script> exposes
+// window.UpiUri for app.js) and in Node (require) for the tests.
+(function (root) {
+  const UPI_PARAMS = ['pa', 'pn', 'am', 'mam', 'cu', 'tn', 'mc', 'tr', 'tid', 'mid', 'url', 'mode', 'purpose', 'orgid', 'sign'];
+  // Same rule as app.js validators.upiId
+  const VPA_PATTERN = /^[a-zA-Z0-9._-]+@[a-zA-Z]+$/;
+
+  const UpiUri = {
+    UPI_PARAMS,
+
+    isVpa(value) {
+      return VPA_PATTERN.test(String(value || ''));
+    },
+
+    // Returns null for anything that isn't a UPI payload, otherwise an intent
+    // with `errors` (unusable) and `warnings` (usable, but tell the user)
+    parse(text) {
+      const data = String(text || '').trim();
+      if (/^upi:\/\/pay\b/i.test(data)) return this.parseIntent(data);
+      if (/^000201/.test(data)) return this.parseBharatQr(data);
+      if (this.isVpa(data)) return this.validate({ kind: 'vpa', pa: data });
+      return null;
+    },
+
+    parseIntent(data) {
+      const query = data.slice(data.indexOf('?') + 1);
+      const params = new URLSearchParams(query);
+      const intent = { kind: 'upi' };
+
+      // Parameter names are case-insensitive in the wild (PA=, Pn=)
+      params.forEach((value, key) => {
+        const name = key.toLowerCase();
+        if (UPI_PARAMS.includes(name) && value !== '') intent[name] = value.trim();
+      });
+      return this.validate(intent);
+    },
+
+    // EMVCo tag-length-value: two-digit tag, two-digit length, then the value.
+    // Returns null unless the whole string splits cleanly into fields.
+    parseTlv(data) {
+      const fields = {};
+      let i = 0;
+      while (i < data.length) {
+        const header = data.slice(i, i + 4);
+        if (!/^\d{4}$/.test(header)) return null;
+
+        const length = Number(header.slice(2));
+        if (i + 4 + length > data.length) return null;
+
+        fields[header.slice(0, 2)] = data.slice(i + 4, i + 4 + length);
+        i += 4 + length;
+      }
+      return fields;
+    },
+
+    // CRC-16/CCITT-FALSE over everything up to and including "6304"
+    crc16(text) {
+      const bytes = new TextEncoder().encode(text);
+      let crc = 0xFFFF;
+      for (const byte of bytes) {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+          crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+        }
+      }
+      return crc.toString(16).toUpperCase().padStart(4, '0');
+    },
+
+    parseBharatQr(data) {
+      const fields = this.parseTlv(data);
+      if (!fields) return this.validate({ kind: 'bharatqr', errors: ['Malformed BharatQR code'] });
+
+      // The checksum is always the last field (tag 63, length 04)
+      const intent = { kind: 'bharatqr', errors: [] };
+      if (!/6304[0-9A-F]{4}$/i.test(data)) {
+        intent.errors.push('QR code has no checksum');
+      } else if (this.crc16(data.slice(0, -4)) !== data.slice(-4).toUpperCase()) {
+        intent.errors.push('QR code checksum does not match');
+      }
+
+      // Merchant account templates (26-51) carry the VPA in one of their sub-fields
+      for (let tag = 26; tag <= 51 && !intent.pa; tag++) {
+        const template = fields[String(tag)] && this.parseTlv(fields[String(tag)]);
+        if (template) intent.pa = Object.values(template).find(value => this.isVpa(value));
+      }
+
+      const extra = (fields['62'] && this.parseTlv(fields['62'])) || {};
+      Object.assign(intent, {
+        pn: fields['59'],
+        mc: fields['52'],
+        am: fields['54'],
+        cu: fields['53'] === '356' ? 'INR' : fields['53'],
+        tr: extra['05'],
+        tn: extra['08'],
+        city: fields['60']
+      });
+      return this.validate(intent);
+    },
+
+    validate(intent) {
+      const errors = intent.errors || [];
+      const warnings = [];
+
+      if (!intent.pa) {
+        errors.push('QR code has no UPI ID');
+      } else if (!this.isVpa(intent.pa)) {
+        errors.push(`"${intent.pa}" is not a valid UPI ID`);
+      }
+
+      if (intent.am !== undefined) {
+        if (!/^\d+(\.\d{1,2})?$/.test(intent.am) || parseFloat(intent.am) <= 0) {
+          errors.push('QR code has an invalid amount');
+        } else if (intent.mam && parseFloat(intent.am) < parseFloat(intent.mam)) {
+          errors.push('QR code amount is below its minimum amount');
+        }
+      }
+      if (intent.cu && intent.cu.toUpperCase() !== 'INR') {
+        errors.push(`Unsupported currency ${intent.cu}`);
+      }
+
+      // MCC 0000 marks a person-to-person QR; anything else is a merchant
+      intent.isMerchant = intent.kind === 'bharatqr' || Boolean(intent.mc && intent.mc !== '0000') || Boolean(intent.mid);
+      intent.isSigned = Boolean(intent.sign);
+      if (intent.isMerchant) {
+        warnings.push('This is a merchant QR code. Make sure you mean to pay this business.');
+      }
+
+      intent.amount = intent.am !== undefined && !errors.length ? parseFloat(intent.am) : null;
+      intent.note = intent.tn || null;
+      intent.errors = errors;
+      intent.warnings = warnings;
+      intent.valid = errors.length === 0;
+      return intent;
+    },
+
+    build({ pa, pn, am, tn }) {
+      const params = [['pa', pa], ['pn', pn], ['am', am ? Number(am).toFixed(2) : null], ['tn', tn], ['cu', 'INR']]
+        .filter(([, value]) => value)
+        // Some UPI apps reject an encoded "@" in pa
+        .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`);
+      return `upi://pay?${params.join('&')}`;
+    }
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UpiUri;
+  } else {
+    root.UpiUri = UpiUri;
+  }
+})(typeof self !== 'undefined' ? self : this);
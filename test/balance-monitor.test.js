@@ -0,0 +1,187 @@
+// test/balance-monitor.test.js - Balance sampling and alerts against the mock server
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { A1TopupService, OPERATORS, CIRCLES } = require('../a1topup');
+const { createMockServer } = require('../a1topup/mock-server');
+const {
+  BalanceMonitor,
+  createWebhookAlert,
+  createEmailAlert
+} = require('../a1topup/balance-monitor');
+
+const HOUR = 60 * 60 * 1000;
+
+const mock = createMockServer();
+let service;
+let orderCount = 0;
+
+test.before(async () => {
+  const baseURL = await mock.listen();
+  service = new A1TopupService({ username: 'test', password: 'test', baseURL, timeout: 500, retry: false });
+});
+test.beforeEach(() => mock.reset());
+test.after(() => mock.close());
+
+// Monitor on a hand-driven clock; `sent` collects what the adapters received
+function createMonitor(options = {}) {
+  const clock = { now: 0 };
+  const sent = [];
+  const monitor = new BalanceMonitor(service, {
+    threshold: 1000,
+    projectionHours: 6,
+    now: () => clock.now,
+    alerts: [alert => { sent.push(['fn', alert.type]); }, { send: async alert => { sent.push(['obj', alert.type]); } }],
+    ...options
+  });
+  return { monitor, clock, sent };
+}
+
+function recharge(amount) {
+  return service.recharge({
+    number: '9810012345',
+    amount,
+    operatorCode: OPERATORS.PREPAID.JIO,
+    circleCode: CIRCLES.DELHI,
+    orderid: `ORD-BAL-${++orderCount}`
+  });
+}
+
+test('requires a service with getBalance', () => {
+  assert.throws(() => new BalanceMonitor({}), /requires an A1TopupService/);
+});
+
+test('a healthy balance is recorded without alerts', async () => {
+  const { monitor, sent } = createMonitor();
+  const entry = await monitor.sample();
+
+  assert.deepEqual(entry, { at: 0, balance: 10000 });
+  assert.deepEqual(monitor.latest(), entry);
+  assert.deepEqual(sent, []);
+});
+
+test('low-balance scenario fires a threshold alert on every adapter, once per cooldown', async () => {
+  mock.setScenario('low-balance');
+  mock.setBalance(250);
+  await assert.rejects(recharge(500), { code: 'INSUFFICIENT_BALANCE' });
+
+  const { monitor, clock, sent } = createMonitor({ cooldown: HOUR });
+  const alerts = [];
+  monitor.on('alert', alert => alerts.push(alert));
+
+  await monitor.sample();
+  assert.deepEqual(sent, [['fn', 'below-threshold'], ['obj', 'below-threshold']]);
+  assert.equal(alerts[0].balance, 250);
+  assert.equal(alerts[0].threshold, 1000);
+  assert.match(alerts[0].message, /250\.00 is below the 1000\.00 threshold/);
+
+  clock.now = HOUR / 2;
+  await monitor.sample();
+  assert.equal(alerts.length, 1);
+
+  clock.now = HOUR;
+  await monitor.sample();
+  assert.equal(alerts.length, 2);
+});
+
+test('a top-up above the threshold clears the cooldown', async () => {
+  mock.setBalance(500);
+  const { monitor, clock, sent } = createMonitor();
+
+  await monitor.sample();
+  mock.setBalance(5000);
+  clock.now = 60 * 1000;
+  await monitor.sample();
+  mock.setBalance(400);
+  clock.now = 2 * 60 * 1000;
+  await monitor.sample();
+
+  const thresholdAlerts = sent.filter(([kind, type]) => kind === 'fn' && type === 'below-threshold');
+  assert.equal(thresholdAlerts.length, 2);
+});
+
+test('projected spend over the next N hours alerts before the threshold is reached', async () => {
+  const { monitor, clock } = createMonitor({ threshold: 100, projectionHours: 6 });
+  const alerts = [];
+  monitor.on('alert', alert => alerts.push(alert));
+
+  await monitor.sample();                      // 10000 at 0h
+  await recharge(2000);
+  clock.now = HOUR;
+  await monitor.sample();                      // 8000 at 1h: 2000/h, 12000 projected
+
+  assert.equal(monitor.spendRatePerHour(), 2000);
+  assert.equal(monitor.projectedSpend(), 12000);
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].type, 'below-projected-spend');
+  assert.equal(alerts[0].projectedSpend, 12000);
+  assert.equal(alerts[0].projectionHours, 6);
+});
+
+test('wallet top-ups are not counted as spend', async () => {
+  const { monitor, clock } = createMonitor({ threshold: 0 });
+
+  monitor.record(10000, 0);
+  monitor.record(9000, HOUR);
+  monitor.record(20000, 2 * HOUR);
+  clock.now = 2 * HOUR;
+
+  assert.equal(monitor.spendRatePerHour(), 500);
+  assert.deepEqual(await monitor.evaluate(), []);
+});
+
+test('readings older than the history window are dropped', () => {
+  const { monitor } = createMonitor({ historyWindow: 2 * HOUR });
+
+  monitor.record(100, 0);
+  monitor.record(90, HOUR);
+  monitor.record(80, 3 * HOUR);
+
+  assert.deepEqual(monitor.history.map(entry => entry.balance), [90, 80]);
+});
+
+test('an unreadable balance emits sampleError and records nothing', async () => {
+  mock.setScenario('non-json');
+  const { monitor } = createMonitor();
+  const errors = [];
+  monitor.on('sampleError', error => errors.push(error));
+
+  await assert.rejects(monitor.sample(), { code: 'MALFORMED_RESPONSE' });
+  assert.equal(errors.length, 1);
+  assert.equal(monitor.latest(), null);
+});
+
+test('parseBalance reads every balance shape the provider returns', () => {
+  assert.equal(service.parseBalance({ balance: '1,234.50' }), 1234.5);
+  assert.equal(service.parseBalance({ Balance: 99 }), 99);
+  assert.equal(service.parseBalance('{"bal":"12"}'), 12);
+  assert.equal(service.parseBalance('Your balance is Rs. 1,234.50'), 1234.5);
+});
+
+test('a failing adapter emits alertError and the others still run', async () => {
+  mock.setBalance(10);
+  const sent = [];
+  const failures = [];
+  const monitor = new BalanceMonitor(service, {
+    alerts: [() => { throw new Error('pager down'); }, alert => sent.push(alert.type)]
+  });
+  monitor.on('alertError', error => failures.push(error.message));
+
+  await monitor.sample();
+  assert.deepEqual(failures, ['pager down']);
+  assert.deepEqual(sent, ['below-threshold']);
+});
+
+test('webhook and email adapters deliver the alert', async () => {
+  const posts = [];
+  const mails = [];
+  const alert = { type: 'below-threshold', message: 'low', balance: 12.5, at: 0 };
+
+  await createWebhookAlert('https://hooks.example/alert', { client: { post: async (...args) => posts.push(args) }, timeout: 500 })(alert);
+  await createEmailAlert({ send: async message => mails.push(message), to: 'ops@example.com', from: 'bot@example.com' })(alert);
+
+  assert.deepEqual(posts, [['https://hooks.example/alert', alert, { timeout: 500 }]]);
+  assert.equal(mails[0].subject, '[A1Topup] Low balance: 12.50');
+  assert.equal(mails[0].to, 'ops@example.com');
+  assert.match(mails[0].text, /^low\n\nAt: 1970-01-01T00:00:00\.000Z$/);
+  assert.throws(() => createEmailAlert({ to: 'ops@example.com' }), /requires a send/);
+});
@@ -0,0 +1,65 @@
+// test/bulk.test.js - Bulk recharge runs, limits and resumes
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { A1TopupService, rowsFromCsv, runBulkRecharge, resumeBulkRecharge, reportToCsv } = require('../a1topup');
+const { createRateLimiter } = require('../a1topup/bulk');
+const { createMockServer } = require('../a1topup/mock-server');
+
+const CSV = [
+  'number,amount,operator,circle',
+  '9810000001,10,JIO,DELHI',
+  '9810000002,20,A,5',
+  '9810000003,15,JIO,DELHI',
+  '12345,10,JIO,DELHI',
+  '9810000005,10,BSNL_TOPUP,DELHI'
+].join('\n');
+
+const mock = createMockServer({ pendingChecks: 0 });
+let service;
+
+test.before(async () => {
+  const baseURL = await mock.listen();
+  service = new A1TopupService({ username: 'test', password: 'test', baseURL, timeout: 500, retry: false });
+});
+test.beforeEach(() => mock.reset());
+test.after(() => mock.close());
+
+test('invalid rows are skipped before anything is sent', () => {
+  const rows = rowsFromCsv(CSV);
+  assert.deepEqual(rows.map(row => row.status), ['Queued', 'Queued', 'Queued', 'Skipped', 'Skipped']);
+  assert.equal(rows[0].operatorCode, 'RC');
+  assert.equal(rows[0].circleCode, '5');
+  assert.match(rows[3].error, /Invalid mobile number/);
+});
+
+test('runs a mixed batch and resumes the rows left pending', async () => {
+  mock.scriptNumber('9810000002', 'failure');
+  mock.scriptNumber('9810000003', 'pending-then-success');
+
+  const report = await runBulkRecharge(service, rowsFromCsv(CSV), { concurrency: 2, perMinute: 100 });
+  assert.deepEqual(report.rows.map(row => row.status), ['Success', 'Failure', 'Pending', 'Skipped', 'Skipped']);
+  assert.deepEqual(report.summary, { total: 5, resumable: 1, Success: 1, Failure: 1, Pending: 1, Skipped: 2 });
+
+  const sent = mock.requests.filter(request => request.path === '/recharge/api').length;
+  await resumeBulkRecharge(service, report, { perMinute: 100 });
+  assert.equal(report.rows[2].status, 'Success');
+  assert.equal(report.summary.resumable, 0);
+  assert.equal(mock.requests.filter(request => request.path === '/recharge/api').length, sent, 'resuming only checks status');
+
+  assert.match(reportToCsv(report).split('\n')[0], /^index,number,amount/);
+});
+
+test('the rate limiter waits once perMinute calls started in the last minute', async () => {
+  let time = 0;
+  const waits = [];
+  const acquire = createRateLimiter(2, {
+    now: () => time,
+    wait: async ms => { waits.push(ms); time += ms; }
+  });
+
+  await acquire();
+  time = 10000;
+  await acquire();
+  await acquire();
+  assert.deepEqual(waits, [50000]);
+});
@@ -0,0 +1,94 @@
+// test/codes.test.js - Operator/circle catalogue and number-series suggestions
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const codes = require('../a1topup/codes');
+const { A1TopupService } = require('../a1topup');
+
+test('legacy OPERATORS/CIRCLES maps still resolve to provider codes', () => {
+  assert.equal(codes.OPERATORS.PREPAID.JIO, 'RC');
+  assert.equal(codes.OPERATORS.POSTPAID.AIRTEL, 'PAT');
+  assert.equal(codes.CIRCLES.DELHI, '5');
+  assert.equal(codes.listCircles().length, 23);
+});
+
+test('getOperator/getCircle take codes or keys; the ByCode lookups take codes only', () => {
+  assert.equal(codes.getOperator('JIO', 'POSTPAID').code, 'JPP');
+  assert.equal(codes.getOperator('rc').key, 'JIO');
+  assert.equal(codes.getCircle('delhi').code, '5');
+
+  assert.equal(codes.getOperatorByCode('JIO'), null);
+  assert.equal(codes.getCircleByCode('DELHI'), null);
+  assert.equal(codes.getOperatorByCode('bt').key, 'BSNL_TOPUP');
+  assert.equal(codes.getCircleByCode('15').key, 'MUMBAI');
+});
+
+test('validateOperatorCircle accepts provider codes and rejects catalogue keys', () => {
+  assert.equal(codes.validateOperatorCircle('RC', '5').valid, true);
+
+  const byKey = codes.validateOperatorCircle('JIO', 'DELHI');
+  assert.equal(byKey.valid, false);
+  assert.equal(byKey.reason, 'Unknown operator code: JIO (use the provider code RC)');
+
+  assert.equal(codes.validateOperatorCircle('RC', 'DELHI').reason, 'Unknown circle code: DELHI (use the provider code 5)');
+  assert.equal(codes.validateOperatorCircle('XX', '5').reason, 'Unknown operator code: XX');
+  assert.equal(codes.validateOperatorCircle('BT', '5').reason, 'BSNL Topup is not available in Delhi NCR');
+});
+
+test('recharge refuses catalogue keys before calling the provider', async () => {
+  const calls = [];
+  const service = new A1TopupService({
+    username: 'test',
+    password: 'test',
+    retry: false,
+    transport: { get: async (url, options) => { calls.push(options.params); return { data: {} }; } }
+  });
+
+  await assert.rejects(
+    service.recharge({ number: '9810012345', amount: 10, operatorCode: 'JIO', circleCode: 'DELHI', orderid: 'ORD1' }),
+    { code: 'INVALID_OPERATOR_OR_CIRCLE' }
+  );
+  assert.equal(calls.length, 0);
+});
+
+test('normalizeMobileNumber strips country code, trunk zero and separators', () => {
+  assert.equal(codes.normalizeMobileNumber('+91 98100 12345'), '9810012345');
+  assert.equal(codes.normalizeMobileNumber('09810012345'), '9810012345');
+  assert.equal(codes.normalizeMobileNumber('919810012345'), '9810012345');
+  assert.equal(codes.normalizeMobileNumber('5810012345'), null);
+  assert.equal(codes.normalizeMobileNumber('98100'), null);
+});
+
+test('suggestFromNumber covers the 6, 7, 8 and 9 series', () => {
+  const cases = [
+    ['9810012345', 'A', 'DELHI'],
+    ['8800123456', 'A', 'DELHI'],
+    ['7021123456', 'RC', 'MUMBAI'],
+    ['6388123456', 'RC', 'UP_EAST'],
+    ['6205123456', 'RC', 'BIHAR_JHARKHAND'],
+    ['9822123456', 'I', 'MAHARASHTRA_GOA'],
+    ['9884123456', 'V', 'CHENNAI']
+  ];
+
+  for (const [number, operatorCode, circleKey] of cases) {
+    const suggestion = codes.suggestFromNumber(number);
+    assert.equal(suggestion.operator.code, operatorCode, number);
+    assert.equal(suggestion.circle.key, circleKey, number);
+  }
+
+  assert.equal(codes.suggestFromNumber('7021123456', 'POSTPAID').operator.code, 'JPP');
+  assert.equal(codes.suggestFromNumber('9440123456').operator.code, 'BT');
+  assert.equal(codes.suggestFromNumber('9440123456', 'POSTPAID').operator.code, 'BP');
+});
+
+test('suggestFromNumber returns the series without a guess for unknown prefixes', () => {
+  assert.deepEqual(codes.suggestFromNumber('9000012345'), { number: '9000012345', series: '9000', operator: null, circle: null });
+  assert.equal(codes.suggestFromNumber('12345'), null);
+});
+
+test('every series points at a catalogued operator and circle', () => {
+  for (const [series, [operatorKey, circleKey]] of Object.entries(codes.NUMBER_SERIES)) {
+    assert.match(series, /^[6-9]\d{3}$/);
+    assert.ok(codes.getCircle(circleKey), `${series}: ${circleKey}`);
+    assert.ok(codes.getOperator(operatorKey) || operatorKey === 'BSNL', `${series}: ${operatorKey}`);
+  }
+});
@@ -0,0 +1,101 @@
+// test/errors.test.js - Provider payloads and transport failures mapped to typed errors
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { A1TopupService } = require('../a1topup');
+const {
+  A1TopupError,
+  AuthenticationError,
+  InsufficientBalanceError,
+  InvalidOperatorError,
+  DuplicateOrderError,
+  ProviderTimeoutError,
+  ProviderUnavailableError,
+  MalformedResponseError,
+  providerMessage,
+  fromProviderResponse,
+  fromTransportError
+} = require('../a1topup/errors');
+
+function transportError(fields) {
+  return Object.assign(new Error(fields.message || 'request failed'), fields);
+}
+
+const PROVIDER_CASES = [
+  ['invalid password', { status: 'Failure', message: 'Invalid username or password' }, AuthenticationError, 'AUTH_FAILED'],
+  ['unlisted IP', 'IP address not whitelisted', AuthenticationError, 'AUTH_FAILED'],
+  ['low wallet', { status: 'Failure', error: 'Insufficient balance in wallet' }, InsufficientBalanceError, 'INSUFFICIENT_BALANCE'],
+  ['bad operator', { status: 'Failure', msg: 'Invalid operator code' }, InvalidOperatorError, 'INVALID_OPERATOR_OR_CIRCLE'],
+  ['bad circle', { status: 'Failure', message: 'Circle code not found' }, InvalidOperatorError, 'INVALID_OPERATOR_OR_CIRCLE'],
+  ['reused orderid', { status: 'Failure', opid: 'Duplicate order id' }, DuplicateOrderError, 'DUPLICATE_ORDER'],
+  ['operator timeout', { status: 'Failure', opid: 'Operator timed out' }, ProviderTimeoutError, 'PROVIDER_TIMEOUT']
+];
+
+for (const [label, payload, ErrorClass, code] of PROVIDER_CASES) {
+  test(`fromProviderResponse: ${label} -> ${ErrorClass.name}`, () => {
+    const error = fromProviderResponse(payload, 'Recharge');
+    assert.ok(error instanceof ErrorClass);
+    assert.ok(error instanceof A1TopupError);
+    assert.equal(error.code, code);
+    assert.equal(error.retryable, ErrorClass === ProviderTimeoutError);
+    assert.equal(error.raw, payload);
+    assert.match(error.message, /^Recharge failed: /);
+  });
+}
+
+test('fromProviderResponse leaves operator failures and unknown text unclassified', () => {
+  assert.equal(fromProviderResponse({ status: 'Failure', opid: 'Recharge failed at operator' }, 'Recharge'), null);
+  assert.equal(fromProviderResponse({ status: 'Success', opid: 'OP123' }, 'Recharge'), null);
+  assert.equal(fromProviderResponse('', 'Recharge'), null);
+});
+
+test('providerMessage reads the message fields, or opid only on a failure', () => {
+  assert.equal(providerMessage('  plain text  '), 'plain text');
+  assert.equal(providerMessage({ errormsg: 'Bad request' }), 'Bad request');
+  assert.equal(providerMessage({ status: 'Failure', opid: 'Number barred' }), 'Number barred');
+  assert.equal(providerMessage({ status: 'Success', opid: 'OP123' }), '');
+});
+
+test('fromTransportError maps timeouts, auth, 4xx and 5xx', () => {
+  const timeout = fromTransportError(transportError({ code: 'ECONNABORTED' }), 'Recharge');
+  assert.ok(timeout instanceof ProviderTimeoutError);
+  assert.equal(timeout.retryable, true);
+
+  const auth = fromTransportError(transportError({ response: { status: 403, data: 'Forbidden' } }), 'Recharge');
+  assert.ok(auth instanceof AuthenticationError);
+  assert.equal(auth.status, 403);
+  assert.equal(auth.retryable, false);
+
+  const balance = fromTransportError(transportError({ response: { status: 400, data: { message: 'Low balance' } } }), 'Recharge');
+  assert.ok(balance instanceof InsufficientBalanceError);
+
+  const other = fromTransportError(transportError({ response: { status: 404, data: 'Not Found' } }), 'Recharge');
+  assert.equal(other.constructor, A1TopupError);
+  assert.equal(other.code, 'HTTP_ERROR');
+  assert.equal(other.retryable, false);
+
+  const down = fromTransportError(transportError({ response: { status: 502, data: '' } }), 'Recharge');
+  assert.ok(down instanceof ProviderUnavailableError);
+  assert.equal(down.retryable, true);
+
+  const reset = fromTransportError(transportError({ code: 'ECONNRESET' }), 'Recharge');
+  assert.ok(reset instanceof ProviderUnavailableError);
+
+  assert.equal(fromTransportError(timeout, 'Status check'), timeout);
+});
+
+test('parseResponse throws MalformedResponseError for bodies it cannot read', () => {
+  const service = new A1TopupService({ username: 'test', password: 'test' });
+
+  for (const body of ['<html>Service Unavailable</html>', { txid: '1' }, null]) {
+    assert.throws(() => service.parseResponse(body, 'Recharge'), error => {
+      assert.ok(error instanceof MalformedResponseError);
+      assert.equal(error.code, 'MALFORMED_RESPONSE');
+      assert.equal(error.retryable, false);
+      return true;
+    });
+  }
+
+  // A classified message wins over "not JSON"
+  assert.throws(() => service.parseResponse('Insufficient balance', 'Recharge'), InsufficientBalanceError);
+  assert.throws(() => service.parseBalance('no balance here'), MalformedResponseError);
+});
@@ -0,0 +1,58 @@
+// test/ifsc-dataset.test.js - Building the bundled IFSC dataset and branch shards
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { buildDataset, compressBranches, buildBranchShards, readBranchesCsv } = require('../convert/build-ifsc-dataset');
+
+test('numeric branch codes collapse into runs', () => {
+  assert.deepEqual(compressBranches([3, 1, 2, 7, 'CAB1', 9, 8]), ['1-3', '7-9', 'CAB1']);
+});
+
+test('builds the dataset from a release src directory', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ifsc-src-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'IFSC.json'), JSON.stringify({ SBIN: [1, 2, 3], HDFC: [1] }));
+  fs.writeFileSync(path.join(dir, 'banknames.json'), JSON.stringify({ SBIN: 'State Bank of India', HDFC: 'HDFC Bank', UNUSED: 'Nobody' }));
+
+  const dataset = buildDataset(dir, { version: '2.0.50' });
+  assert.equal(dataset.version, '2.0.50');
+  assert.deepEqual(dataset.branches, { HDFC: [1], SBIN: ['1-3'] });
+  assert.deepEqual(Object.keys(dataset.banks), ['HDFC', 'SBIN']);
+});
+
+test('splits the IFSC.csv dump into one shard per bank', () => {
+  const shards = buildBranchShards([
+    'BANK,IFSC,BRANCH,CENTRE,DISTRICT,STATE,ADDRESS,CITY',
+    'State Bank of India,SBIN0000001,KOLKATA MAIN,KOLKATA,KOLKATA,WEST BENGAL,"1, STRAND ROAD",KOLKATA',
+    'HDFC Bank,hdfc0000001,SANDOZ HOUSE,MUMBAI,MUMBAI,MAHARASHTRA,"WORLI",',
+    'Broken row,NOT-A-CODE,,,,,,'
+  ].join('\n'));
+
+  assert.deepEqual(shards, {
+    SBIN: { SBIN0000001: ['KOLKATA MAIN', 'KOLKATA', 'KOLKATA', 'WEST BENGAL'] },
+    HDFC: { HDFC0000001: ['SANDOZ HOUSE', 'MUMBAI', 'MUMBAI', 'MAHARASHTRA'] }
+  });
+});
+
+test('downloads the dump through a release-asset redirect', async t => {
+  const csv = 'BANK,IFSC,BRANCH,CITY\nKotak Mahindra Bank,KKBK0000261,GURGAON,GURGAON\n';
+  const server = http.createServer((req, res) => {
+    if (req.url === '/releases/download/v2.0.50/IFSC.csv') {
+      res.writeHead(302, { Location: '/assets/IFSC.csv' });
+      return res.end();
+    }
+    if (req.url === '/assets/IFSC.csv') return res.end(csv);
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  assert.equal(await readBranchesCsv(`${base}/releases/download/v2.0.50/IFSC.csv`), csv);
+  await assert.rejects(readBranchesCsv(`${base}/nothing.csv`), /Download failed \(404\)/);
+  await assert.rejects(readBranchesCsv('release'), /needs the package.json/);
+});
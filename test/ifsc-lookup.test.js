@@ -0,0 +1,89 @@
+// test/ifsc-lookup.test.js - Resolving IFSC codes against the bundled dataset and branch shards
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createIfscLookup, expandBranches } = require('../convert/ifsc-lookup');
+const { buildBranchShards, writeBranchShards } = require('../convert/build-ifsc-dataset');
+
+const DATASET = path.join(__dirname, '..', 'convert', 'ifsc-dataset.json');
+
+// Real IFSC.csv rows (Razorpay release dump layout; KKBK0000261 is the branch
+// their own docs use as the lookup example)
+const RELEASE_CSV = [
+  'BANK,IFSC,BRANCH,CENTRE,DISTRICT,STATE,ADDRESS,CONTACT,IMPS,RTGS,CITY,ISO3166,NEFT,MICR,UPI,SWIFT',
+  'Kotak Mahindra Bank,KKBK0000261,GURGAON,GURGAON,GURGAON,HARYANA,"KOTAK MAHINDRA BANK LTD. UNIT NO. 8&9, SEWA CORPORATE PARK, MG ROAD, GURGAON- 122001",4131000,true,true,GURGAON,IN-HR,true,110485003,true,'
+].join('\n');
+
+// Reads the lookup's URLs as files; missing files resolve to null like a 404
+function fileLookup(branchesDir) {
+  const loaded = [];
+  const lookup = createIfscLookup({
+    datasetUrl: DATASET,
+    branchesUrl: branchesDir,
+    loadJson: async file => {
+      loaded.push(path.basename(file));
+      return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    }
+  });
+  return { lookup, loaded };
+}
+
+function shardDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ifsc-branches-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  writeBranchShards(buildBranchShards(RELEASE_CSV), dir);
+  return dir;
+}
+
+test('expands compressed branch runs', () => {
+  assert.deepEqual([...expandBranches(['1-3', 7, 'CAB1'])], [1, 2, 3, 7, 'CAB1']);
+});
+
+test('resolves a real IFSC to bank, branch and city', async t => {
+  const { lookup, loaded } = fileLookup(shardDir(t));
+
+  assert.deepEqual(await lookup.resolve(' kkbk0000261 '), {
+    valid: true,
+    reason: null,
+    details: {
+      ifsc: 'KKBK0000261',
+      bank: 'Kotak Mahindra Bank',
+      branch: 'GURGAON',
+      city: 'GURGAON',
+      district: 'GURGAON',
+      state: 'HARYANA'
+    }
+  });
+  assert.deepEqual(loaded, ['ifsc-dataset.json', 'KKBK.json']);
+});
+
+test('rejects codes the bank has never issued', async t => {
+  const { lookup } = fileLookup(shardDir(t));
+
+  assert.equal(lookup.isKnown('KKBK0000261'), undefined);
+  const unknownBranch = await lookup.resolve('KKBK0000001');
+  assert.equal(unknownBranch.valid, false);
+  assert.match(unknownBranch.reason, /Unknown IFSC code/);
+  assert.equal(lookup.isKnown('KKBK0000001'), false);
+  assert.equal(lookup.isKnown('ZZZZ0000001'), false);
+  assert.equal((await lookup.resolve('KKBK261')).reason, 'Invalid IFSC code');
+});
+
+test('a valid code without a shard row still resolves with the bank name', async t => {
+  const { lookup } = fileLookup(shardDir(t));
+
+  const result = await lookup.resolve('SBIN0000001');
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.details, { ifsc: 'SBIN0000001', bank: 'State Bank of India' });
+});
+
+test('a missing dataset fails the lookup and is retried next time', async () => {
+  let calls = 0;
+  const lookup = createIfscLookup({ datasetUrl: 'missing.json', branchesUrl: 'x', loadJson: async () => (++calls, null) });
+
+  assert.equal((await lookup.resolve('KKBK0000261')).reason, 'Could not verify IFSC code. Please try again.');
+  await lookup.resolve('KKBK0000261');
+  assert.equal(calls, 2);
+});
@@ -0,0 +1,59 @@
+// test/ledger.test.js - TransactionLedger storage and the service hook
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { A1TopupService, TransactionLedger } = require('../a1topup');
+
+function tempLedger(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a1topup-ledger-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new TransactionLedger({ path: path.join(dir, 'nested', 'ledger.jsonl') });
+}
+
+test('folds call entries into one order with its status history', async t => {
+  const ledger = tempLedger(t);
+  await ledger.record({ operation: 'recharge', orderid: 'ORD1', number: '9810012345', amount: 10, status: 'Pending', request: { operatorCode: 'RC', circleCode: '5', pwd: 'secret' }, response: { txid: 'TX1' } });
+  await ledger.record({ operation: 'status', orderid: 'ORD1', status: 'Pending', response: { txid: 'TX1' } });
+  await ledger.record({ operation: 'status', orderid: 'ORD1', status: 'Success', response: { txid: 'TX1', opid: 'OP1' } });
+  await ledger.record({ operation: 'balance', status: null });
+
+  const order = await ledger.getOrder('ORD1');
+  assert.equal(order.status, 'Success');
+  assert.equal(order.opid, 'OP1');
+  assert.equal(order.operatorCode, 'RC');
+  assert.deepEqual(order.history.map(h => h.status), ['Pending', 'Success']);
+
+  const [first] = await ledger.query({ orderid: 'ORD1', operation: 'recharge' });
+  assert.equal(first.request.pwd, undefined, 'passwords never reach the ledger');
+  assert.equal((await ledger.listOrders({ number: '9810012345' })).length, 1);
+  assert.equal((await ledger.listOrders({ status: 'Pending' })).length, 0);
+});
+
+test('reading a ledger that was never written returns nothing', async t => {
+  assert.deepEqual(await tempLedger(t).entries(), []);
+});
+
+test('A1TopupService records every call, including failed ones', async t => {
+  const ledger = tempLedger(t);
+  const transport = {
+    async get(url) {
+      if (url.endsWith('/balance')) {
+        const error = new Error('connect ECONNREFUSED');
+        error.code = 'ECONNREFUSED';
+        throw error;
+      }
+      return { status: 200, data: { status: 'Success', txid: 'TX9', opid: 'OP9', orderid: 'ORD9', number: '9810012345', amount: '20' } };
+    }
+  };
+  const service = new A1TopupService({ username: 'test', password: 'test', transport, ledger, retry: false });
+
+  await service.recharge({ number: '9810012345', amount: 20, operatorCode: 'RC', circleCode: '5', orderid: 'ORD9' });
+  await assert.rejects(service.checkBalance(), { code: 'PROVIDER_UNAVAILABLE' });
+
+  const entries = await ledger.entries();
+  assert.deepEqual(entries.map(e => [e.operation, e.status]), [['recharge', 'Success'], ['balance', null]]);
+  assert.equal(entries[1].error.code, 'PROVIDER_UNAVAILABLE');
+  assert.equal(typeof entries[0].durationMs, 'number');
+});
@@ -0,0 +1,23 @@
+// test/mock-recipients.test.js - The dev-only recipient directory
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockResolver, MOCK_ACCOUNTS } = require('../convert/mock-recipients');
+const RecipientMatch = require('../convert/recipient-match');
+
+test('the production matcher does not carry the mock directory', () => {
+  assert.equal(RecipientMatch.MOCK_ACCOUNTS, undefined);
+  assert.equal(RecipientMatch.createMockResolver, undefined);
+});
+
+test('mock resolver looks up VPAs and account@IFSC', async () => {
+  const resolver = createMockResolver();
+  assert.deepEqual(await resolver.resolve({ type: 'upi', upiId: 'Ravi@OKAXIS' }), { found: true, registeredName: MOCK_ACCOUNTS['ravi@okaxis'] });
+  assert.deepEqual(await resolver.resolve({ type: 'bank', accountNumber: '123456789012', ifscCode: 'sbin0000001' }), { found: true, registeredName: 'RAJ KUMAR SINGH' });
+  assert.deepEqual(await resolver.resolve({ type: 'upi', upiId: 'nobody@ybl' }), { found: false });
+});
+
+test('mock resolver takes a custom directory', async () => {
+  const resolver = createMockResolver({ 'test@upi': 'TEST USER' });
+  assert.equal((await resolver.resolve({ upiId: 'test@upi' })).registeredName, 'TEST USER');
+  assert.equal((await resolver.resolve({ upiId: 'ravi@okaxis' })).found, false);
+});
@@ -0,0 +1,79 @@
+// test/mock-server.test.js - A1TopupService against every mock scenario
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { A1TopupService, OPERATORS, CIRCLES } = require('../a1topup');
+const { createMockServer } = require('../a1topup/mock-server');
+
+const mock = createMockServer({ pendingChecks: 1 });
+let service;
+let orderCount = 0;
+
+test.before(async () => {
+  const baseURL = await mock.listen();
+  service = new A1TopupService({ username: 'test', password: 'test', baseURL, timeout: 500, retry: false });
+});
+test.beforeEach(() => mock.reset());
+test.after(() => mock.close());
+
+function recharge(fields = {}) {
+  return service.recharge({
+    number: '9810012345',
+    amount: 10,
+    operatorCode: OPERATORS.PREPAID.JIO,
+    circleCode: CIRCLES.DELHI,
+    orderid: `ORD-TEST-${++orderCount}`,
+    ...fields
+  });
+}
+
+test('success debits the wallet and the order can be looked up', async () => {
+  const result = await recharge();
+  assert.equal(result.isSuccess, true);
+  assert.equal(mock.getBalance(), 9990);
+
+  const status = await service.checkStatus(result.orderid);
+  assert.equal(status.txid, result.txid);
+  assert.equal(await service.getBalance(), 9990);
+});
+
+test('pending-then-success settles after the configured status checks', async () => {
+  mock.setScenario('pending-then-success');
+  const result = await recharge();
+  assert.equal(result.isPending, true);
+
+  assert.equal((await service.checkStatus(result.orderid)).status, 'Pending');
+  assert.equal((await service.checkStatus(result.orderid)).status, 'Success');
+});
+
+test('failure is returned as a result, not thrown', async () => {
+  mock.setScenario('failure');
+  const result = await recharge();
+  assert.equal(result.isFailure, true);
+  assert.equal(result.message, 'Recharge failed at operator');
+  assert.equal(mock.getBalance(), 10000);
+});
+
+test('timeout rejects with a retryable ProviderTimeoutError while the order exists', async () => {
+  mock.setScenario('timeout');
+  await assert.rejects(recharge({ orderid: 'ORD-TIMEOUT' }), { code: 'PROVIDER_TIMEOUT', retryable: true });
+  assert.equal(mock.orders.get('ORD-TIMEOUT').status, 'Success');
+});
+
+test('non-json bodies are classified as malformed', async () => {
+  mock.setScenario('non-json');
+  await assert.rejects(recharge(), { code: 'MALFORMED_RESPONSE' });
+  await assert.rejects(service.getBalance(), { code: 'MALFORMED_RESPONSE' });
+});
+
+test('low-balance rejects with InsufficientBalanceError', async () => {
+  mock.setScenario('low-balance');
+  await assert.rejects(recharge(), { code: 'INSUFFICIENT_BALANCE' });
+});
+
+test('duplicate order ids and bad credentials are rejected', async () => {
+  await recharge({ orderid: 'ORD-DUP' });
+  await assert.rejects(recharge({ orderid: 'ORD-DUP' }), { code: 'DUPLICATE_ORDER' });
+
+  const intruder = new A1TopupService({ username: 'test', password: 'wrong', baseURL: mock.baseURL, retry: false });
+  await assert.rejects(intruder.checkBalance(), { code: 'AUTH_FAILED' });
+});
@@ -0,0 +1,147 @@
+// test/quote-engine.test.js - Fee tiers, FX margin, promos, rounding and the /convert quote
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const QuoteEngine = require('../convert/quote-engine');
+
+// Shaped like a CORRIDORS entry in app.js
+function corridor(pricing = {}) {
+  return {
+    id: 'NGN-INR',
+    send: { currency: 'NGN' },
+    receive: { currency: 'INR' },
+    pricing: {
+      feeTiers: [{ upTo: Infinity, percent: 0.5, fixed: 0 }],
+      minFee: 0,
+      fxMargin: 0,
+      decimals: { send: 2, receive: 2 },
+      ...pricing
+    }
+  };
+}
+
+const TIERED = corridor({
+  feeTiers: [
+    { upTo: 10000, percent: 1, fixed: 50 },
+    { upTo: 100000, percent: 0.75, fixed: 0 },
+    { upTo: Infinity, percent: 0.5, fixed: 0 }
+  ],
+  minFee: 75
+});
+
+test('the fee is part of the send amount, so the total is what the user sends', () => {
+  const quote = QuoteEngine.quote({ sendAmount: 1000, rate: 16, corridor: corridor() });
+
+  assert.equal(quote.fee, 5);
+  assert.equal(quote.feePercent, 0.5);
+  assert.equal(quote.total, 1000);
+  assert.equal(quote.receiveAmount, 62.5);
+  assert.equal(quote.discount, 0);
+  assert.equal(quote.promoCode, null);
+});
+
+test('picks the first tier that covers the amount, the last one above every cap', () => {
+  assert.equal(QuoteEngine.feeTier(TIERED.pricing, 10000).percent, 1);
+  assert.equal(QuoteEngine.feeTier(TIERED.pricing, 10000.01).percent, 0.75);
+  assert.equal(QuoteEngine.feeTier(TIERED.pricing, 5e6).percent, 0.5);
+  assert.equal(QuoteEngine.feeTier({ feeTiers: [{ upTo: 100, percent: 2, fixed: 0 }] }, 500).percent, 2);
+
+  assert.equal(QuoteEngine.quote({ sendAmount: 8000, rate: 16, corridor: TIERED }).fee, 130);
+  assert.equal(QuoteEngine.quote({ sendAmount: 50000, rate: 16, corridor: TIERED }).fee, 375);
+  assert.equal(QuoteEngine.quote({ sendAmount: 200000, rate: 16, corridor: TIERED }).fee, 1000);
+});
+
+test('minFee is a floor, the send amount a ceiling, and nothing sent means no fee', () => {
+  assert.equal(QuoteEngine.quote({ sendAmount: 2000, rate: 16, corridor: TIERED }).fee, 75);
+  assert.equal(QuoteEngine.quote({ sendAmount: 60, rate: 16, corridor: TIERED }).fee, 60);
+  assert.equal(QuoteEngine.quote({ sendAmount: 0, rate: 16, corridor: TIERED }).fee, 0);
+});
+
+test('the FX margin raises the customer rate and is reported in the send currency', () => {
+  const quote = QuoteEngine.quote({ sendAmount: 1010, rate: 16, corridor: corridor({ fxMargin: 0.01 }) });
+
+  assert.equal(quote.baseRate, 16);
+  assert.equal(quote.rate, 16.16);
+  assert.equal(quote.receiveAmount, 62.5);
+  assert.equal(quote.fxMarginAmount, 10);
+  assert.equal(quote.total, 1010);
+});
+
+test('a promo discounts the fee or takes a fixed amount off, within its limits', () => {
+  const now = Date.parse('2026-06-01T00:00:00Z');
+  const halfFee = { code: 'HALF', feeDiscountPercent: 50 };
+  const flat = { code: 'FLAT', amountOff: 200, maxDiscount: 150 };
+
+  const half = QuoteEngine.quote({ sendAmount: 10000, rate: 16, corridor: corridor(), promotion: halfFee, now });
+  assert.equal(half.discount, 25);
+  assert.equal(half.promoCode, 'HALF');
+  assert.equal(half.total, 9975);
+
+  assert.equal(QuoteEngine.quote({ sendAmount: 10000, rate: 16, corridor: corridor(), promotion: flat, now }).discount, 150);
+  assert.equal(QuoteEngine.quote({ sendAmount: 100, rate: 16, corridor: corridor(), promotion: { code: 'BIG', amountOff: 500 }, now }).total, 0);
+
+  const skipped = [
+    { ...flat, minSend: 20000 },
+    { ...flat, corridors: ['GHS-INR'] },
+    { ...flat, expiresAt: '2026-05-31T23:59:59Z' }
+  ];
+  for (const promotion of skipped) {
+    const quote = QuoteEngine.quote({ sendAmount: 10000, rate: 16, corridor: corridor(), promotion, now });
+    assert.equal(quote.discount, 0);
+    assert.equal(quote.promoCode, null);
+    assert.equal(quote.total, 10000);
+  }
+});
+
+test('rounding never promises the recipient more than the send amount buys', () => {
+  assert.equal(QuoteEngine.round(5.1, 2, 'down'), 5.1);
+  assert.equal(QuoteEngine.round(1.005, 2), 1.01);
+  assert.equal(QuoteEngine.round(2.341, 2, 'up'), 2.35);
+
+  const fromSend = QuoteEngine.quote({ sendAmount: 1000, rate: 15.96, corridor: corridor() });
+  assert.equal(fromSend.receiveAmount, 62.65);
+
+  const fromReceive = QuoteEngine.quote({ receiveAmount: 62.659, rate: 15.96, corridor: corridor() });
+  assert.equal(fromReceive.receiveAmount, 62.65);
+  assert.equal(fromReceive.sendAmount, 999.90);
+  assert.ok(fromReceive.sendAmount / 15.96 >= fromReceive.receiveAmount);
+
+  assert.equal(QuoteEngine.quote({ sendAmount: 1234.567, rate: 16, corridor: corridor() }).fee, 6.17);
+});
+
+test('fromConversion takes every amount from the server', () => {
+  const structured = QuoteEngine.fromConversion(
+    { quote: { sendAmount: 1000, receiveAmount: 62.5, fee: 5, feePercent: 0.5, discount: 0, total: 1000 } },
+    { corridor: corridor(), rate: 16, sendAmount: 999 }
+  );
+  assert.equal(structured.sendAmount, 1000);
+  assert.equal(structured.total, 1000);
+  assert.equal(structured.receiveAmount, 62.5);
+  assert.equal(structured.fee, 5);
+  assert.equal(structured.source, 'server');
+
+  const offer = QuoteEngine.fromConversion(
+    { horizonPayOffer: { youPay: 'NGN 1,000.00', feeCharged: 'NGN 5.00', youGet: 'INR 62.50' } },
+    { corridor: corridor(), rate: 16, sendAmount: 1000 }
+  );
+  assert.equal(offer.total, 1000);
+  assert.equal(offer.fee, 5);
+  assert.equal(offer.receiveAmount, 62.5);
+});
+
+test('fromConversion leaves a missing total or receive amount empty instead of estimating it', () => {
+  const quote = QuoteEngine.fromConversion({ success: true }, { corridor: corridor(), rate: 16, sendAmount: 1000 });
+
+  assert.equal(quote.sendAmount, 1000);
+  assert.equal(quote.total, null);
+  assert.equal(quote.receiveAmount, null);
+  assert.equal(quote.fee, 0);
+});
+
+test('toPayload keeps only what /convert checks', () => {
+  const quote = QuoteEngine.quote({ sendAmount: 1000, rate: 16, corridor: corridor() });
+  assert.deepEqual(QuoteEngine.toPayload(quote), {
+    sendAmount: 1000, receiveAmount: 62.5, rate: 16, fee: 5, discount: 0, total: 1000, promoCode: null
+  });
+  assert.equal(QuoteEngine.parseAmount('NGN 1,234.50'), 1234.5);
+  assert.equal(QuoteEngine.parseAmount(NaN), null);
+});
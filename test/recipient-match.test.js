@@ -0,0 +1,26 @@
+// test/recipient-match.test.js - Recipient name matching
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeName, nameScore } = require('../convert/recipient-match');
+
+// Same cut-off app.js uses (NAME_MATCH_THRESHOLD)
+const THRESHOLD = 0.85;
+
+test('normalizes case, punctuation and honorifics', () => {
+  assert.deepEqual(normalizeName('Mr. Raj-Kumar  singh'), ['RAJ', 'KUMAR', 'SINGH']);
+  assert.deepEqual(normalizeName(null), []);
+});
+
+test('accepts reordered names, initials, dropped middle names and small typos', () => {
+  for (const entered of ['Ravi Kumar', 'Kumar Ravi', 'R Kumar', 'Ravi Kumaar']) {
+    assert.ok(nameScore(entered, 'RAVI KUMAR') >= THRESHOLD, entered);
+  }
+  assert.ok(nameScore('Mr. Raj Singh', 'RAJ KUMAR SINGH') >= THRESHOLD);
+});
+
+test('flags different people and bare first names', () => {
+  assert.ok(nameScore('Ravi Shankar', 'RAVI KUMAR') < THRESHOLD);
+  assert.ok(nameScore('John Smith', 'RAVI KUMAR') < THRESHOLD);
+  assert.equal(nameScore('Priya', 'PRIYA SHARMA'), 0.8);
+  assert.equal(nameScore('', 'PRIYA SHARMA'), 0);
+});
@@ -0,0 +1,45 @@
+// test/reconcile.test.js - Ledger vs provider statement reconciliation
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { statementFromCsv, reconcile, issuesToCsv } = require('../a1topup');
+
+const order = (orderid, fields = {}) => ({ orderid, txid: `TX-${orderid}`, number: '9810012345', amount: 10, status: 'Success', ...fields });
+
+test('reads statements with differently named columns', () => {
+  const [row] = statementFromCsv('Order ID,Transaction ID,Mobile Number,Recharge Amount,Status\nORD1,TX-ORD1,9810012345,"1,010.00",SUCCESS\n');
+  assert.deepEqual(row, { line: 2, orderid: 'ORD1', txid: 'TX-ORD1', opid: null, number: '9810012345', amount: 1010, status: 'Success' });
+});
+
+test('reports every kind of mismatch', () => {
+  const orders = [
+    order('ORD1'),
+    order('ORD2', { amount: 20 }),
+    order('ORD3', { status: 'Pending' }),
+    order('ORD4'),
+    order('ORD5', { status: 'Failure', txid: null }),
+    order('ORD6', { txid: 'TX-ORD1' })
+  ];
+  const statement = statementFromCsv([
+    'orderid,txid,number,amount,status',
+    'ORD1,TX-ORD1,9810012345,10,Success',
+    'ORD2,TX-ORD2,9810012345,25,Success',
+    'ORD3,TX-ORD3,9810012345,10,Success',
+    'ORD1,TX-ORD1,9810012345,10,Success',
+    'ORD7,TX-ORD7,9810012345,10,Success'
+  ].join('\n'));
+
+  const { summary, issues } = reconcile(orders, statement);
+  const kinds = issues.map(item => `${item.issue}:${item.orderid}`).sort();
+
+  assert.deepEqual(kinds, [
+    'amount-mismatch:ORD2',
+    'duplicate-in-ledger:ORD6',
+    'duplicate-in-statement:ORD1',
+    'missing-from-ledger:ORD7',
+    'missing-from-statement:ORD4',
+    'missing-from-statement:ORD6',
+    'status-mismatch:ORD3'
+  ]);
+  assert.equal(summary.matched, 3);
+  assert.match(issuesToCsv({ issues }).split('\n')[0], /^issue,orderid,txid/);
+});
@@ -0,0 +1,82 @@
+// test/reconciler.test.js - PendingOrderReconciler follow-ups
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PendingOrderReconciler } = require('../a1topup');
+
+function fakeService(statuses) {
+  return {
+    checks: 0,
+    async checkStatus(orderid) {
+      this.checks++;
+      const next = statuses.length > 1 ? statuses.shift() : statuses[0];
+      if (next instanceof Error) throw next;
+      return { orderid, status: next, isSuccess: next === 'Success', isPending: next === 'Pending', isFailure: next === 'Failure' };
+    }
+  };
+}
+
+function createReconciler(service, options = {}) {
+  const clock = { time: 0 };
+  const reconciler = new PendingOrderReconciler(service, {
+    initialDelay: 1000,
+    maxDelay: 4000,
+    deadline: 10000,
+    now: () => clock.time,
+    ...options
+  });
+  return { reconciler, clock };
+}
+
+test('checks back with growing delays until the order settles', async () => {
+  const service = fakeService(['Pending', 'Pending', 'Success']);
+  const { reconciler, clock } = createReconciler(service);
+  const settled = [];
+  reconciler.on('success', result => settled.push(result.orderid));
+
+  const entry = reconciler.add('ORD1', { user: 'u1' });
+  await reconciler.tick();
+  assert.equal(service.checks, 0, 'nothing is due before initialDelay');
+
+  clock.time = 1000;
+  await reconciler.tick();
+  assert.equal(entry.nextCheckAt, 3000);
+
+  clock.time = 3000;
+  await reconciler.tick();
+  assert.equal(entry.nextCheckAt, 7000);
+
+  clock.time = 7000;
+  await reconciler.tick();
+  assert.deepEqual(settled, ['ORD1']);
+  assert.equal(reconciler.pending().length, 0);
+});
+
+test('emits failure for orders the operator rejected', async () => {
+  const { reconciler, clock } = createReconciler(fakeService(['Failure']));
+  const failed = [];
+  reconciler.on('failure', result => failed.push(result.orderid));
+
+  reconciler.add('ORD2');
+  clock.time = 1000;
+  await reconciler.tick();
+  assert.deepEqual(failed, ['ORD2']);
+});
+
+test('orders past the deadline are reported as stuck', async () => {
+  const { reconciler, clock } = createReconciler(fakeService([new Error('status down')]), { deadline: 2000 });
+  const errors = [];
+  reconciler.on('checkError', error => errors.push(error.message));
+
+  reconciler.add('ORD3', { user: 'u3' });
+  clock.time = 1000;
+  await reconciler.tick();
+  clock.time = 2000;
+  await reconciler.tick();
+
+  assert.deepEqual(errors, ['status down', 'status down']);
+  const [report] = reconciler.getStuckReport();
+  assert.equal(report.orderid, 'ORD3');
+  assert.deepEqual(report.meta, { user: 'u3' });
+  assert.equal(report.attempts, 2);
+  assert.equal(report.lastError, 'status down');
+});
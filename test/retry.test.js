@@ -0,0 +1,138 @@
+// test/retry.test.js - Recharge retries and the status check before each resend
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { A1TopupService } = require('../a1topup');
+const { computeBackoff, isRetryableError, resolveRetryOptions } = require('../a1topup/retry');
+const { createAxiosTransport } = require('../a1topup/transport');
+const { createMockServer } = require('../a1topup/mock-server');
+
+const ORDER = { number: '9810012345', amount: 10, operatorCode: 'RC', circleCode: '5', orderid: 'ORD1' };
+
+// Transport that answers each path from a list of scripted replies.
+// A reply is a body, or a function that throws to simulate a network error.
+function scriptedTransport(script) {
+  const calls = [];
+  return {
+    calls,
+    async get(url, { params }) {
+      const path = url.slice(url.lastIndexOf('/'));
+      calls.push({ path, params });
+      const replies = script[path] || [];
+      const reply = replies.length > 1 ? replies.shift() : replies[0];
+      if (typeof reply === 'function') return reply();
+      return { status: 200, data: reply };
+    }
+  };
+}
+
+function networkError(code) {
+  return () => {
+    const error = new Error(`socket hang up (${code})`);
+    error.code = code;
+    error.request = {};
+    throw error;
+  };
+}
+
+function createService(transport, retry = {}) {
+  return new A1TopupService({
+    username: 'test',
+    password: 'test',
+    transport,
+    retry: { retries: 2, jitter: false, ...retry },
+    sleep: async () => {}
+  });
+}
+
+const count = (transport, path) => transport.calls.filter(call => call.path === path).length;
+
+test('a timed-out recharge the provider accepted is not sent again', async () => {
+  const transport = scriptedTransport({
+    '/api': [networkError('ECONNABORTED')],
+    '/status': [{ status: 'Success', txid: 'TX1', opid: 'OP1', orderid: 'ORD1', number: '9810012345', amount: '10' }]
+  });
+  const result = await createService(transport).recharge(ORDER);
+
+  assert.equal(result.status, 'Success');
+  assert.equal(result.txid, 'TX1');
+  assert.equal(count(transport, '/api'), 1);
+  assert.equal(count(transport, '/status'), 1);
+});
+
+test('a recharge dropped before reaching the provider is resent exactly once', async t => {
+  const mock = createMockServer();
+  const baseURL = await mock.listen();
+  t.after(() => mock.close());
+
+  // Drops the first /api call with ECONNRESET; everything else goes through
+  const axios = createAxiosTransport();
+  const sent = [];
+  const transport = {
+    async get(url, options) {
+      sent.push(url.slice(url.lastIndexOf('/')));
+      if (url.endsWith('/api') && sent.filter(path => path === '/api').length === 1) networkError('ECONNRESET')();
+      return axios.get(url, options);
+    }
+  };
+  const service = new A1TopupService({ username: 'test', password: 'test', baseURL, transport, retry: { retries: 2 }, sleep: async () => {} });
+
+  const result = await service.recharge(ORDER);
+
+  assert.equal(result.isSuccess, true);
+  assert.deepEqual(sent, ['/api', '/status', '/api']);
+  assert.equal(mock.requests.filter(request => request.path === '/recharge/api').length, 1);
+  assert.equal(mock.orders.size, 1);
+});
+
+test('a failed order the provider has on record is not resent', async () => {
+  const transport = scriptedTransport({
+    '/api': [networkError('ECONNRESET')],
+    '/status': [{ status: 'Failure', txid: 'TX2', opid: 'Recharge failed at operator', orderid: 'ORD1' }]
+  });
+  const result = await createService(transport).recharge(ORDER);
+
+  assert.equal(result.isFailure, true);
+  assert.equal(count(transport, '/api'), 1);
+});
+
+test('provider-level failures are not retried', async () => {
+  const transport = scriptedTransport({ '/api': [{ status: 'Failure', opid: 'Insufficient Balance' }] });
+
+  await assert.rejects(createService(transport).recharge(ORDER), { code: 'INSUFFICIENT_BALANCE' });
+  assert.equal(count(transport, '/api'), 1);
+  assert.equal(count(transport, '/status'), 0);
+});
+
+test('an order whose status cannot be checked ends as OUTCOME_UNKNOWN', async () => {
+  const transport = scriptedTransport({
+    '/api': [networkError('ECONNRESET')],
+    '/status': [networkError('ECONNRESET')]
+  });
+
+  await assert.rejects(createService(transport).recharge(ORDER), { code: 'OUTCOME_UNKNOWN' });
+  assert.equal(count(transport, '/api'), 1);
+  assert.equal(count(transport, '/status'), 2);
+});
+
+test('without an orderid a failed recharge is never retried', async () => {
+  const transport = scriptedTransport({ '/api': [networkError('ECONNRESET')] });
+
+  await assert.rejects(createService(transport).recharge({ ...ORDER, orderid: undefined }), { code: 'PROVIDER_UNAVAILABLE' });
+  assert.equal(transport.calls.length, 1);
+});
+
+test('backoff grows by `factor` up to maxDelay, with jitter in [cap / 2, cap]', () => {
+  const options = resolveRetryOptions({ minDelay: 100, maxDelay: 1000, factor: 2, jitter: false });
+  assert.deepEqual([1, 2, 3, 4, 5].map(attempt => computeBackoff(attempt, options)), [100, 200, 400, 800, 1000]);
+
+  const jittered = computeBackoff(3, { ...options, jitter: true });
+  assert.ok(jittered >= 200 && jittered <= 400);
+  assert.equal(resolveRetryOptions(false).retries, 0);
+});
+
+test('only network errors and 5xx responses are retryable', () => {
+  assert.equal(isRetryableError({ code: 'ECONNRESET' }), true);
+  assert.equal(isRetryableError({ response: { status: 503 } }), true);
+  assert.equal(isRetryableError({ response: { status: 400 } }), false);
+  assert.equal(isRetryableError({ retryable: false, code: 'ECONNRESET' }), false);
+});
@@ -0,0 +1,143 @@
+// test/upi-uri.test.js - UPI intents, BharatQR TLV/CRC and merchant detection
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const UpiUri = require('../convert/upi-uri');
+
+function tlv(tag, value) {
+  return `${tag}${String(value.length).padStart(2, '0')}${value}`;
+}
+
+// A BharatQR payload with a correct checksum; `fields` override or add tags
+function bharatQr(fields = {}) {
+  const all = {
+    '00': '01',
+    '01': '12',
+    '26': tlv('00', 'A000000524') + tlv('01', 'shop@okaxis'),
+    '52': '5411',
+    '53': '356',
+    '54': '250.00',
+    '58': 'IN',
+    '59': 'KUMAR STORES',
+    '60': 'PUNE',
+    '62': tlv('05', 'INV1042') + tlv('08', 'Groceries'),
+    ...fields
+  };
+  const body = Object.keys(all).sort().filter(tag => all[tag] !== null).map(tag => tlv(tag, all[tag])).join('') + '6304';
+  return body + UpiUri.crc16(body);
+}
+
+test('parses a person-to-person intent with am, cu and tn', () => {
+  const intent = UpiUri.parse('upi://pay?pa=ravi@okhdfc&pn=Ravi%20Kumar&am=150.50&cu=INR&tn=Rent%20share&mc=0000');
+
+  assert.equal(intent.kind, 'upi');
+  assert.equal(intent.valid, true);
+  assert.equal(intent.pa, 'ravi@okhdfc');
+  assert.equal(intent.pn, 'Ravi Kumar');
+  assert.equal(intent.amount, 150.5);
+  assert.equal(intent.note, 'Rent share');
+  assert.equal(intent.isMerchant, false);
+  assert.deepEqual(intent.warnings, []);
+});
+
+test('parameter names are case-insensitive and unknown ones are dropped', () => {
+  const intent = UpiUri.parse('UPI://pay?PA=ravi@okhdfc&Pn=Ravi&foo=bar&am=');
+  assert.equal(intent.pa, 'ravi@okhdfc');
+  assert.equal(intent.pn, 'Ravi');
+  assert.equal(intent.foo, undefined);
+  assert.equal(intent.am, undefined);
+});
+
+test('rejects bad amounts, foreign currencies and missing or invalid VPAs', () => {
+  assert.deepEqual(UpiUri.parse('upi://pay?pa=ravi@okhdfc&am=12.345').errors, ['QR code has an invalid amount']);
+  assert.deepEqual(UpiUri.parse('upi://pay?pa=ravi@okhdfc&am=0').errors, ['QR code has an invalid amount']);
+  assert.deepEqual(UpiUri.parse('upi://pay?pa=ravi@okhdfc&am=50&mam=100').errors, ['QR code amount is below its minimum amount']);
+  assert.deepEqual(UpiUri.parse('upi://pay?pa=ravi@okhdfc&cu=USD').errors, ['Unsupported currency USD']);
+  assert.deepEqual(UpiUri.parse('upi://pay?pn=Ravi').errors, ['QR code has no UPI ID']);
+  assert.deepEqual(UpiUri.parse('upi://pay?pa=ravi').errors, ['"ravi" is not a valid UPI ID']);
+
+  const invalid = UpiUri.parse('upi://pay?pa=ravi@okhdfc&am=abc');
+  assert.equal(invalid.valid, false);
+  assert.equal(invalid.amount, null);
+});
+
+test('merchant intents are flagged by mc or mid; signed QRs keep their signature', () => {
+  const merchant = UpiUri.parse('upi://pay?pa=shop@okaxis&pn=Kumar%20Stores&mc=5411&tr=INV1042');
+  assert.equal(merchant.isMerchant, true);
+  assert.equal(merchant.tr, 'INV1042');
+  assert.equal(merchant.mc, '5411');
+  assert.match(merchant.warnings[0], /merchant QR code/);
+
+  assert.equal(UpiUri.parse('upi://pay?pa=shop@okaxis&mid=M123').isMerchant, true);
+
+  const signed = UpiUri.parse('upi://pay?pa=shop@okaxis&mc=5411&tr=INV1042&orgid=159761&sign=MEUCIQDx%2Bsig%3D%3D');
+  assert.equal(signed.valid, true);
+  assert.equal(signed.isSigned, true);
+  assert.equal(signed.isMerchant, true);
+  assert.equal(signed.sign, 'MEUCIQDx+sig==');
+  assert.equal(UpiUri.parse('upi://pay?pa=ravi@okhdfc').isSigned, false);
+});
+
+test('a bare VPA is accepted, other text is not a UPI payload', () => {
+  assert.equal(UpiUri.parse(' ravi@okhdfc ').kind, 'vpa');
+  assert.equal(UpiUri.parse('https://example.com/pay'), null);
+  assert.equal(UpiUri.parse(''), null);
+});
+
+test('crc16 is CRC-16/CCITT-FALSE', () => {
+  assert.equal(UpiUri.crc16('123456789'), '29B1');
+});
+
+test('parses a BharatQR payload into a merchant intent', () => {
+  const intent = UpiUri.parse(bharatQr());
+
+  assert.equal(intent.kind, 'bharatqr');
+  assert.deepEqual(intent.errors, []);
+  assert.equal(intent.pa, 'shop@okaxis');
+  assert.equal(intent.pn, 'KUMAR STORES');
+  assert.equal(intent.mc, '5411');
+  assert.equal(intent.cu, 'INR');
+  assert.equal(intent.amount, 250);
+  assert.equal(intent.tr, 'INV1042');
+  assert.equal(intent.note, 'Groceries');
+  assert.equal(intent.city, 'PUNE');
+  assert.equal(intent.isMerchant, true);
+});
+
+test('a BharatQR checksum mismatch or missing checksum is rejected', () => {
+  const good = bharatQr();
+  const tampered = good.replace('250.00', '950.00');
+  assert.deepEqual(UpiUri.parse(tampered).errors, ['QR code checksum does not match']);
+
+  const flipped = good.slice(0, -4) + (good.slice(-4) === '0000' ? '0001' : '0000');
+  assert.equal(UpiUri.parse(flipped).valid, false);
+
+  const unsigned = good.slice(0, -8);
+  assert.deepEqual(UpiUri.parse(unsigned).errors, ['QR code has no checksum']);
+});
+
+test('truncated or malformed TLV is rejected instead of read as garbage', () => {
+  const good = bharatQr();
+
+  assert.deepEqual(UpiUri.parse(good.slice(0, 40)).errors, ['Malformed BharatQR code', 'QR code has no UPI ID']);
+  assert.equal(UpiUri.parseTlv('000201' + '59'), null);
+  assert.equal(UpiUri.parseTlv('0002015999AB'), null);
+  assert.equal(UpiUri.parseTlv('0002015 5ABCDE'), null);
+  assert.equal(UpiUri.parseTlv('00020159-1AB'), null);
+  assert.deepEqual(UpiUri.parseTlv('000201' + '5905ABCDE'), { '00': '01', '59': 'ABCDE' });
+});
+
+test('a malformed merchant template yields no VPA', () => {
+  const intent = UpiUri.parse(bharatQr({ '26': '0010A00000052401' }));
+  assert.deepEqual(intent.errors, ['QR code has no UPI ID']);
+});
+
+test('build creates an intent that parses back', () => {
+  const uri = UpiUri.build({ pa: 'ravi@okhdfc', pn: 'Ravi Kumar', am: 99, tn: 'Dinner & drinks' });
+  assert.equal(uri, 'upi://pay?pa=ravi@okhdfc&pn=Ravi%20Kumar&am=99.00&tn=Dinner%20%26%20drinks&cu=INR');
+
+  const intent = UpiUri.parse(uri);
+  assert.equal(intent.valid, true);
+  assert.equal(intent.amount, 99);
+  assert.equal(intent.note, 'Dinner & drinks');
+  assert.equal(UpiUri.build({ pa: 'ravi@okhdfc' }), 'upi://pay?pa=ravi@okhdfc&cu=INR');
+});